@@ -11,6 +11,7 @@
  *    - GET /               (health check)
  *    - GET /api/pickups    (list pickups)
  *    - POST /api/pickups   (create pickup)
+ *    - GET /metrics        (Prometheus metrics)
  */
 
 // Load environment variables from .env (if present)
@@ -20,10 +21,17 @@ const express = require('express');
 const cors = require('cors');
 
 const dispatcher = require('./services/dispatcher');
+const vendorPresence = require('./services/vendorPresence');
+const vendorIndex = require('./services/vendorIndex');
+const metrics = require('./services/metrics');
 
 // Routers (EXPOSE ONLY the minimal dispatcher API surface)
 const pickupsRouter = require('./routes/pickups');
 const vendorRouter = require('./routes/vendor');
+// Admin/debug routes need ADMIN_API_TOKEN and ALLOW_ADMIN_PORTAL=true (see routes/adminAuth.js, routes/admin.js)
+const adminRouter = require('./routes/admin');
+const { requireAdminToken, tokenMatches } = require('./routes/adminAuth');
+const { getBearerToken } = require('./supabase/auth');
 
 const app = express();
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
@@ -31,6 +39,12 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 // Start background dispatcher tasks (expiry enforcement)
 dispatcher.startDispatcherSweeper();
 
+// Flip vendors without a recent heartbeat to unavailable
+vendorPresence.startVendorPresenceSweeper();
+
+// Load vendor positions into the spatial index used by dispatch, and keep it refreshed
+vendorIndex.startVendorIndexRefresher();
+
 // -----------------------------
 // MIDDLEWARE
 // -----------------------------
@@ -46,6 +60,9 @@ app.use(express.json({
   },
 }));
 
+// Request counts and latencies per route (exposed on GET /metrics)
+app.use(metrics.httpMetricsMiddleware());
+
 // Simple request logger (helpful for beginners)
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -62,6 +79,23 @@ app.use('/api/pickups', pickupsRouter);
 // 2) Vendor callback routes (protected)
 app.use('/api/vendor', vendorRouter);
 
+// 3) Admin routes (rates, dispatch debugging), behind the admin Bearer token
+app.use('/api/admin', requireAdminToken, adminRouter);
+
+// 4) Prometheus scrape endpoint. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+// Without a token it is open in development and closed in production (NODE_ENV=production).
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.NODE_ENV === 'production') {
+    return res.status(403).json({ success: false, error: 'Metrics are disabled on server. Set METRICS_TOKEN in backend/.env.' });
+  }
+  if (token && !tokenMatches(getBearerToken(req), token)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  return res.send(metrics.render());
+});
+
 // -----------------------------
 // ERROR HANDLING
 // -----------------------------
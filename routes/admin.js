@@ -1,11 +1,18 @@
+const crypto = require('crypto');
 const express = require('express');
 
 const { createServiceClient } = require('../supabase/client');
+const dispatchQueue = require('../services/dispatchQueue');
+const offerDelivery = require('../services/offerDelivery');
+const pickupEvents = require('../services/pickupEvents');
+const vendorIndex = require('../services/vendorIndex');
+const settlements = require('../services/settlements');
+const scrapRates = require('../services/rates');
 
 const router = express.Router();
 
 function isAdminPortalAllowed() {
-  // No user auth, but keep an environment switch to avoid accidental exposure.
+  // Callers are authenticated by ADMIN_API_TOKEN (routes/adminAuth.js); this switch is a second guard.
   const allowAdmin = String(process.env.ALLOW_ADMIN_PORTAL || '').toLowerCase() === 'true';
   const allowDev = String(process.env.ALLOW_DEV_BYPASS || '').toLowerCase() === 'true';
   return allowAdmin || allowDev;
@@ -20,30 +27,8 @@ function requireAdminEnabled(req, res) {
   return false;
 }
 
-async function getActiveRateByType(supabase) {
-  const { data, error } = await supabase
-    .from('scrap_rates')
-    .select('scrap_type_id,rate_per_kg,effective_from,is_active')
-    .eq('is_active', true);
-
-  if (error) throw error;
-
-  const latest = new Map();
-  for (const r of data || []) {
-    const prev = latest.get(r.scrap_type_id);
-    if (!prev) {
-      latest.set(r.scrap_type_id, r);
-      continue;
-    }
-    const prevDate = prev.effective_from ? new Date(prev.effective_from) : new Date(0);
-    const nextDate = r.effective_from ? new Date(r.effective_from) : new Date(0);
-    if (nextDate >= prevDate) latest.set(r.scrap_type_id, r);
-  }
-  return latest;
-}
-
 // GET /api/admin/scrap-types
-// Returns types plus current active rate if present.
+// Returns types plus current active rate if present, and the next scheduled rate.
 router.get('/scrap-types', async (req, res) => {
   if (!requireAdminEnabled(req, res)) return;
 
@@ -56,15 +41,22 @@ router.get('/scrap-types', async (req, res) => {
       .order('name', { ascending: true });
     if (typesErr) return res.status(400).json({ success: false, error: typesErr.message });
 
-    const rates = await getActiveRateByType(supabase);
+    const now = Date.now();
+    const [rates, upcoming] = await Promise.all([
+      scrapRates.activeRateByType(supabase, now),
+      scrapRates.upcomingRateByType(supabase, now),
+    ]);
 
     const rows = (types || []).map((t) => {
       const r = rates.get(t.id);
+      const next = upcoming.get(t.id);
       return {
         id: t.id,
         name: t.name,
         ratePerKg: r?.rate_per_kg ?? null,
         effectiveFrom: r?.effective_from ?? null,
+        nextRatePerKg: next?.rate_per_kg ?? null,
+        nextEffectiveFrom: next?.effective_from ?? null,
       };
     });
 
@@ -127,7 +119,10 @@ router.patch('/scrap-types/:id', async (req, res) => {
 });
 
 // POST /api/admin/scrap-rates
-// Body: { scrapTypeId, ratePerKg }
+// Body: { scrapTypeId, ratePerKg, effectiveFrom? }
+// effectiveFrom (ISO time, default now) may be in the future to schedule a price change; the
+// current rate stays in force until then (or until it is cancelled, see below). Earlier rates are
+// kept for history and settlements.
 router.post('/scrap-rates', async (req, res) => {
   if (!requireAdminEnabled(req, res)) return;
 
@@ -139,33 +134,49 @@ router.post('/scrap-rates', async (req, res) => {
     return res.status(400).json({ success: false, error: 'ratePerKg must be a positive number' });
   }
 
+  const now = Date.now();
+  let effectiveFrom = new Date(now);
+  if (req.body?.effectiveFrom != null) {
+    effectiveFrom = new Date(req.body.effectiveFrom);
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({ success: false, error: 'effectiveFrom must be an ISO date-time' });
+    }
+    // Backdating would reprice pickups created since then that are not settled yet.
+    if (effectiveFrom.getTime() < now - 60_000) {
+      return res.status(400).json({ success: false, error: 'effectiveFrom must not be in the past' });
+    }
+  }
+
   try {
     const supabase = createServiceClient();
 
-    // Deactivate previous active rates for this type.
-    const { error: deactErr } = await supabase
-      .from('scrap_rates')
-      .update({ is_active: false })
-      .eq('scrap_type_id', scrapTypeId)
-      .eq('is_active', true);
-    if (deactErr) return res.status(400).json({ success: false, error: deactErr.message });
+    const { data: type, error: typeErr } = await supabase.from('scrap_types').select('id').eq('id', scrapTypeId).maybeSingle();
+    if (typeErr) return res.status(400).json({ success: false, error: typeErr.message });
+    if (!type) return res.status(404).json({ success: false, error: 'scrap type not found' });
 
     const row = {
       scrap_type_id: scrapTypeId,
       rate_per_kg: ratePerKg,
       is_active: true,
-      effective_from: new Date().toISOString(),
+      effective_from: effectiveFrom.toISOString(),
     };
 
     const { data, error } = await supabase.from('scrap_rates').insert([row]).select('*').single();
     if (error) return res.status(400).json({ success: false, error: error.message });
 
+    const scheduled = new Date(data.effective_from).getTime() > now;
+    console.log(
+      `[RATES] rate_set scrapTypeId=${scrapTypeId} ratePerKg=${ratePerKg} effectiveFrom=${data.effective_from} scheduled=${scheduled}`
+    );
+
     return res.status(201).json({
       success: true,
       rate: {
+        id: data.id,
         scrapTypeId: data.scrap_type_id,
         ratePerKg: data.rate_per_kg,
         effectiveFrom: data.effective_from,
+        status: scheduled ? 'upcoming' : 'current',
       },
     });
   } catch (e) {
@@ -174,4 +185,303 @@ router.post('/scrap-rates', async (req, res) => {
   }
 });
 
+// GET /api/admin/scrap-rates/:scrapTypeId/history
+// Every rate set for a type, newest effective_from first: upcoming, current, past and cancelled.
+router.get('/scrap-rates/:scrapTypeId/history', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const scrapTypeId = String(req.params.scrapTypeId || '').trim();
+  if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrapTypeId is required' });
+
+  try {
+    const supabase = createServiceClient();
+
+    const { data: type, error: typeErr } = await supabase
+      .from('scrap_types')
+      .select('id,name')
+      .eq('id', scrapTypeId)
+      .maybeSingle();
+    if (typeErr) return res.status(400).json({ success: false, error: typeErr.message });
+    if (!type) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+    const history = await scrapRates.rateHistory(supabase, scrapTypeId);
+    return res.json({
+      success: true,
+      scrapType: type,
+      rates: history.map((r) => ({
+        id: r.id,
+        ratePerKg: r.rate_per_kg,
+        effectiveFrom: r.effective_from,
+        isActive: r.is_active,
+        status: r.status,
+      })),
+    });
+  } catch (e) {
+    console.error('Admin rate history failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// POST /api/admin/scrap-rates/:rateId/cancel
+// Withdraws a scheduled rate before it takes effect; the rate in force now stays. Rates that
+// already started are history (settlements price against them) and cannot be cancelled.
+router.post('/scrap-rates/:rateId/cancel', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const rateId = String(req.params.rateId || '').trim();
+  if (!rateId) return res.status(400).json({ success: false, error: 'rateId is required' });
+
+  try {
+    const supabase = createServiceClient();
+
+    // Only while still upcoming, checked in the same update.
+    const { data, error } = await supabase
+      .from('scrap_rates')
+      .update({ is_active: false, cancelled_at: new Date().toISOString() })
+      .eq('id', rateId)
+      .eq('is_active', true)
+      .gt('effective_from', new Date().toISOString())
+      .select('id,scrap_type_id,rate_per_kg,effective_from')
+      .maybeSingle();
+    if (error) return res.status(400).json({ success: false, error: error.message });
+
+    if (!data) {
+      const { data: rate, error: readErr } = await supabase.from('scrap_rates').select('id,is_active').eq('id', rateId).maybeSingle();
+      if (readErr) return res.status(400).json({ success: false, error: readErr.message });
+      if (!rate) return res.status(404).json({ success: false, error: 'rate not found' });
+      const message = rate.is_active ? 'Rate is already in effect and cannot be cancelled' : 'Rate is already cancelled';
+      return res.status(409).json({ success: false, error: message });
+    }
+
+    console.log(`[RATES] rate_cancelled rateId=${data.id} scrapTypeId=${data.scrap_type_id} effectiveFrom=${data.effective_from}`);
+    return res.json({
+      success: true,
+      rate: {
+        id: data.id,
+        scrapTypeId: data.scrap_type_id,
+        ratePerKg: data.rate_per_kg,
+        effectiveFrom: data.effective_from,
+        status: 'cancelled',
+      },
+    });
+  } catch (e) {
+    console.error('Admin cancel rate failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// GET /api/admin/dispatch/:pickupId
+// Debug view of a pickup's dispatch job: policy, ranked candidates with score breakdown,
+// excluded vendors (and why) and every offer attempt so far.
+router.get('/dispatch/:pickupId', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const pickupId = String(req.params.pickupId || '').trim();
+  if (!pickupId) return res.status(400).json({ success: false, error: 'pickupId is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const job = await dispatchQueue.loadJob(supabase, pickupId);
+    if (!job) return res.status(404).json({ success: false, error: 'dispatch job not found' });
+
+    return res.json({
+      success: true,
+      job: {
+        pickupId: job.pickup_id,
+        status: job.status,
+        mode: job.mode,
+        batchSize: job.batch_size,
+        policy: job.policy,
+        currentIndex: job.current_index,
+        offerDeadline: job.offer_deadline,
+        leaseOwner: job.lease_owner,
+        leaseExpiresAt: job.lease_expires_at,
+        candidates: (job.candidates || []).map((c, i) => ({
+          index: i,
+          vendorRef: c.vendor_ref,
+          distanceKm: c.distance_km,
+          ringKm: c.ring_km,
+          score: c.score,
+          scoreBreakdown: c.score_breakdown,
+        })),
+        exclusions: job.exclusions || [],
+        attempts: job.attempts || [],
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+      },
+    });
+  } catch (e) {
+    console.error('Admin dispatch debug failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// GET /api/admin/pickups/:pickupId/timeline
+// Full pickup journal: every dispatch event, including vendor refs, reasons and detail.
+router.get('/pickups/:pickupId/timeline', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const pickupId = String(req.params.pickupId || '').trim();
+  if (!pickupId) return res.status(400).json({ success: false, error: 'pickupId is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const { data: pickup, error: pickupErr } = await supabase
+      .from('pickups')
+      .select('id,status,assigned_vendor_ref,assignment_expires_at,created_at')
+      .eq('id', pickupId)
+      .maybeSingle();
+    if (pickupErr) return res.status(400).json({ success: false, error: pickupErr.message });
+    if (!pickup) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    const timeline = await pickupEvents.fetchTimeline(supabase, pickupId, { full: true });
+    return res.json({ success: true, pickup, timeline });
+  } catch (e) {
+    console.error('Admin pickup timeline failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// POST /api/admin/pickups/:pickupId/settlement
+// Settle a COMPLETED pickup whose settlement was not created at completion (returns the existing one otherwise).
+router.post('/pickups/:pickupId/settlement', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const pickupId = String(req.params.pickupId || '').trim();
+  if (!pickupId) return res.status(400).json({ success: false, error: 'pickupId is required' });
+
+  try {
+    const settlement = await settlements.createSettlement(createServiceClient(), pickupId);
+    if (!settlement) return res.status(409).json({ success: false, error: 'pickup not found or not COMPLETED' });
+    return res.json({ success: true, settlement: settlements.toSettlementResponse(settlement) });
+  } catch (e) {
+    console.error('Admin settle pickup failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// GET /api/admin/vendor-breakers
+// Per-vendor offer delivery circuit breakers (in-process state of this backend instance).
+router.get('/vendor-breakers', (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const breakers = offerDelivery.listBreakers();
+  return res.json({
+    success: true,
+    count: breakers.length,
+    open: breakers.filter((b) => b.state === 'open').length,
+    breakers,
+  });
+});
+
+// GET /api/admin/vendor-index
+// Size and freshness of this instance's in-process vendor spatial index.
+router.get('/vendor-index', (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+  return res.json({ success: true, index: vendorIndex.stats() });
+});
+
+// POST /api/admin/vendor-breakers/:vendorRef/reset
+// Close a vendor's breaker immediately (e.g. after they fixed their offer_url).
+router.post('/vendor-breakers/:vendorRef/reset', (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const vendorRef = String(req.params.vendorRef || '').trim();
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+  const existed = offerDelivery.resetBreaker(vendorRef);
+  return res.json({ success: true, vendorRef, reset: existed });
+});
+
+function newSigningSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// POST /api/admin/vendors/signing-secrets/provision
+// Rollout step for VENDOR_OFFER_SIGNING (supabase/migrations/010_vendor_offer_signing.sql): gives every
+// registered vendor that has no signing secret yet a new one. The secrets are returned once; vendors
+// that already have one are left alone.
+router.post('/vendors/signing-secrets/provision', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  try {
+    const supabase = createServiceClient();
+    const { data: vendors, error: vErr } = await supabase.from('vendor_backends').select('*');
+    if (vErr) return res.status(400).json({ success: false, error: vErr.message });
+    const { data: existing, error: sErr } = await supabase.from('vendor_signing_secrets').select('vendor_ref');
+    if (sErr) return res.status(400).json({ success: false, error: sErr.message });
+
+    const provisioned = new Set((existing || []).map((r) => String(r.vendor_ref)));
+    const rows = [];
+    for (const v of vendors || []) {
+      const vendorRef = String(v.vendor_id || v.vendor_ref || '');
+      if (!vendorRef || provisioned.has(vendorRef)) continue;
+      provisioned.add(vendorRef);
+      rows.push({ vendor_ref: vendorRef, secret: newSigningSecret() });
+    }
+
+    if (rows.length) {
+      // Rows that appeared meanwhile (a concurrent rotate) are kept; only inserted rows come back.
+      const { data: inserted, error } = await supabase
+        .from('vendor_signing_secrets')
+        .upsert(rows, { onConflict: 'vendor_ref', ignoreDuplicates: true })
+        .select('vendor_ref,secret');
+      if (error) return res.status(400).json({ success: false, error: error.message });
+      const created = inserted || [];
+      created.forEach((r) => offerDelivery.forgetSigningSecret(r.vendor_ref));
+      console.log(`[DELIVERY] signing_secrets_provisioned count=${created.length}`);
+      return res.json({
+        success: true,
+        count: created.length,
+        secrets: created.map((r) => ({ vendorRef: r.vendor_ref, signingSecret: r.secret })),
+      });
+    }
+
+    return res.json({ success: true, count: 0, secrets: [] });
+  } catch (e) {
+    console.error('Admin provision signing secrets failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
+// POST /api/admin/vendors/:vendorRef/signing-secret
+// Generates a new per-vendor secret for signing outbound offers. The secret is returned once;
+// share it with the vendor backend so it can verify offers (vendor/security.js verifyOutboundSignature).
+// Vendors without a secret receive no offers. Requires the admin Bearer token (routes/adminAuth.js).
+router.post('/vendors/:vendorRef/signing-secret', async (req, res) => {
+  if (!requireAdminEnabled(req, res)) return;
+
+  const vendorRef = String(req.params.vendorRef || '').trim();
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+  try {
+    const supabase = createServiceClient();
+
+    let data;
+    let error;
+    ({ data, error } = await supabase.from('vendor_backends').select('id').eq('vendor_id', vendorRef).maybeSingle());
+
+    // Back-compat schema keyed by vendor_ref
+    if (error && /column .*vendor_id.*does not exist/i.test(error.message || '')) {
+      ({ data, error } = await supabase.from('vendor_backends').select('id').eq('vendor_ref', vendorRef).maybeSingle());
+    }
+
+    if (error) return res.status(400).json({ success: false, error: error.message });
+    if (!data) return res.status(404).json({ success: false, error: 'vendor not found' });
+
+    const secret = newSigningSecret();
+    const now = new Date().toISOString();
+    const { error: saveErr } = await supabase
+      .from('vendor_signing_secrets')
+      .upsert([{ vendor_ref: vendorRef, secret, updated_at: now }], { onConflict: 'vendor_ref' });
+    if (saveErr) return res.status(400).json({ success: false, error: saveErr.message });
+
+    offerDelivery.forgetSigningSecret(vendorRef);
+    return res.json({ success: true, vendorRef, signingSecret: secret });
+  } catch (e) {
+    console.error('Admin rotate signing secret failed', e);
+    return res.status(500).json({ success: false, error: e?.message || 'Admin request failed' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+const { getBearerToken } = require('../supabase/auth');
+
+// Admin API authentication: callers send "Authorization: Bearer <ADMIN_API_TOKEN>".
+// With no token configured the admin API is closed.
+
+function digest(value) {
+  // Fixed-length digests so the comparison time does not depend on the token length.
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function tokenMatches(token, expected) {
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+function isAdminToken(token) {
+  return tokenMatches(token, process.env.ADMIN_API_TOKEN);
+}
+
+function requireAdminToken(req, res, next) {
+  if (!process.env.ADMIN_API_TOKEN) {
+    return res.status(403).json({ success: false, error: 'Admin API is disabled on server. Set ADMIN_API_TOKEN in backend/.env.' });
+  }
+  if (!isAdminToken(getBearerToken(req))) {
+    return res.status(401).json({ success: false, error: 'Missing or invalid admin Bearer token' });
+  }
+  return next();
+}
+
+module.exports = { requireAdminToken, tokenMatches };
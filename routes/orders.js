@@ -2,31 +2,10 @@ const express = require('express');
 
 const { createServiceClient } = require('../supabase/client');
 const { ensureDevProfile, isDevBypassAllowed, pickOrCreateDevCustomerId } = require('../supabase/devBypass');
+const { PICKUP_COLUMNS, normalizePickupRow } = require('../services/pickupRows');
 
 const router = express.Router();
 
-function normalizePickupRow(p) {
-  if (!p) return null;
-  return {
-    id: p.id,
-    status: p.status,
-    address: p.address,
-    latitude: p.latitude,
-    longitude: p.longitude,
-    timeSlot: p.time_slot,
-    assignedVendorRef: p.assigned_vendor_ref,
-    assignmentExpiresAt: p.assignment_expires_at,
-    cancelledAt: p.cancelled_at,
-    createdAt: p.created_at,
-    items: (p.pickup_items || []).map((it) => ({
-      id: it.id,
-      scrapTypeId: it.scrap_type_id,
-      scrapTypeName: it.scrap_types?.name || null,
-      estimatedQuantity: it.estimated_quantity,
-    })),
-  };
-}
-
 // GET /api/orders
 // Dev-bypass: lists orders for a temporary customer id.
 router.get('/', async (req, res) => {
@@ -50,10 +29,7 @@ router.get('/', async (req, res) => {
 
     const { data, error } = await supabase
       .from('pickups')
-      .select(
-        'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,created_at,' +
-          'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name))'
-      )
+      .select(PICKUP_COLUMNS)
       .eq('customer_id', devCustomerId)
       .order('created_at', { ascending: false });
 
@@ -92,10 +68,7 @@ router.get('/:id', async (req, res) => {
 
     const { data, error } = await supabase
       .from('pickups')
-      .select(
-        'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,created_at,' +
-          'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name))'
-      )
+      .select(PICKUP_COLUMNS)
       .eq('id', orderId)
       .eq('customer_id', devCustomerId)
       .maybeSingle();
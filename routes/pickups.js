@@ -20,6 +20,16 @@ const router = express.Router();
 
 // Dispatch service: responsible for finding vendors and sending offers
 const dispatcher = require('../services/dispatcher');
+const pickupEvents = require('../services/pickupEvents');
+const pickupStateMachine = require('../services/pickupStateMachine');
+const timeSlots = require('../services/timeSlots');
+const settlements = require('../services/settlements');
+const quotes = require('../services/quotes');
+const pickupEdits = require('../services/pickupEdits');
+const pickupRows = require('../services/pickupRows');
+const pickupStream = require('../services/pickupStream');
+
+const { STATES } = pickupStateMachine;
 
 /**
  * Helper: Validate the incoming request body.
@@ -37,17 +47,55 @@ function validatePickupBody(body) {
     return 'address is required.';
   }
 
-  if (!body.timeSlot || String(body.timeSlot).trim() === '') {
+  if (body.timeSlot == null || String(body.timeSlot).trim() === '') {
     return 'timeSlot is required.';
   }
+  // Window format is checked separately by timeSlots.parseTimeSlot.
 
   // latitude/longitude are optional but if provided must be numbers
   if (body.latitude != null && typeof body.latitude !== 'number') return 'latitude must be a number.';
   if (body.longitude != null && typeof body.longitude !== 'number') return 'longitude must be a number.';
 
+  if (body.quoteId != null && String(body.quoteId).trim() === '') return 'quoteId must not be empty.';
+
   return null;
 }
 
+/**
+ * POST /api/pickups/quote
+ * Prices the same items array POST /api/pickups takes at the current active rates.
+ * Unknown scrap types and types without an active rate are flagged and left out of the total.
+ * The returned quote id can be sent as quoteId when creating the pickup.
+ */
+router.post('/quote', async (req, res) => {
+  const errorMessage = quotes.validatePickupItems(req.body?.items);
+  if (errorMessage) return res.status(400).json({ success: false, error: errorMessage });
+
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    let anon;
+    let service;
+    try {
+      anon = createAnonClientWithJwt(jwt);
+      service = createServiceClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    // Quotes are stored with the service role (customers only read them), so resolve the caller first.
+    const { data: auth, error: authErr } = await anon.auth.getUser(jwt);
+    if (authErr || !auth?.user) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+
+    const quote = await quotes.createQuote(service, { customerId: auth.user.id, items: req.body.items });
+    return res.status(201).json({ success: true, quote: quotes.toQuoteResponse(quote) });
+  } catch (err) {
+    console.error('Error creating quote:', err);
+    return res.status(500).json({ success: false, error: 'Could not create quote' });
+  }
+});
+
 /**
  * POST /api/pickups
  * Accepts JSON body, validates it, creates a pickup object, stores it, returns it.
@@ -64,6 +112,11 @@ router.post('/', async (req, res) => {
     });
   }
 
+  // Resolve the time slot to a real window (or "Anytime") in the service timezone.
+  // Unrecognised free text is accepted and dispatched immediately with no window.
+  const slot = timeSlots.parseTimeSlot(req.body.timeSlot, { pickupDate: req.body.pickupDate });
+  if (slot.error) return res.status(400).json({ success: false, error: slot.error });
+
   // Create pickup
   try {
     const jwt = getBearerToken(req);
@@ -76,12 +129,19 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
     }
 
+    // Optional quote from POST /api/pickups/quote: must be the caller's own (RLS), unused and unexpired.
+    const quoteId = req.body.quoteId != null ? String(req.body.quoteId).trim() : null;
+    if (quoteId) {
+      const unusable = quotes.quoteUnusableReason(await quotes.fetchQuote(supabase, quoteId));
+      if (unusable) return res.status(unusable.httpStatus).json({ success: false, error: unusable.error });
+    }
+
     // Recommended: use RPC so Postgres sets customer_id = auth.uid() and inserts items transactionally.
     const { data, error } = await supabase.rpc('create_pickup', {
       p_address: String(req.body.address).trim(),
       p_latitude: req.body.latitude ?? null,
       p_longitude: req.body.longitude ?? null,
-      p_time_slot: String(req.body.timeSlot).trim(),
+      p_time_slot: slot.label,
       p_items: req.body.items,
     });
 
@@ -101,23 +161,93 @@ router.post('/', async (req, res) => {
     const pickupId = data;
 
     console.log(`[DISPATCH] pickup_created pickupId=${pickupId}`);
+    if (slot.unrecognised) console.warn(`[DISPATCH] pickup_slot_unrecognised pickupId=${pickupId} dispatch=immediate`);
+
+    let quoteAttached = false;
+    if (pickupId && quoteId) {
+      try {
+        quoteAttached = await quotes.attachQuote(createServiceClient(), quoteId, pickupId);
+      } catch (e) {
+        console.warn(`[QUOTE] attach_failed quoteId=${quoteId} pickupId=${pickupId} error=${e?.message || e}`);
+      }
+    }
 
-    // Kick off dispatch in background (do not block response)
+    // Journal writes need the service role (customers only get read access to pickup_events).
     try {
       if (pickupId) {
+        pickupEvents.recordPickupEvent(createServiceClient(), pickupId, 'pickup_created', {
+          actor: pickupEvents.ACTOR_CUSTOMER,
+          status: STATES.REQUESTED,
+          ...(quoteAttached ? { detail: { quote_id: quoteId } } : {}),
+        });
+      }
+    } catch (e) {
+      console.warn('[EVENTS] record_failed', e?.message || e);
+    }
+
+    // Store the window; pickups whose dispatch time is still ahead are held as SCHEDULED.
+    let scheduled = null;
+    if (pickupId && !slot.immediate) {
+      try {
+        scheduled = await dispatcher.schedulePickup(pickupId, slot);
+      } catch (e) {
+        console.warn(`[DISPATCH] pickup_schedule_failed pickupId=${pickupId} error=${e?.message || e}; dispatching now`);
+      }
+    }
+
+    // Kick off dispatch in background (do not block response)
+    try {
+      if (pickupId && !scheduled?.held) {
         dispatcher.dispatchPickup(pickupId).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
       }
     } catch (e) {
       console.warn('[DISPATCH] dispatch_schedule_failed', e);
     }
 
-    return res.status(201).json({ success: true, pickupId });
+    return res.status(201).json({
+      success: true,
+      pickupId,
+      status: scheduled?.held ? STATES.SCHEDULED : STATES.REQUESTED,
+      timeSlot: slot.label,
+      window: slot.immediate ? null : { start: slot.windowStart, end: slot.windowEnd, timezone: slot.timezone },
+      dispatchAt: scheduled?.held ? scheduled.dispatchAt : null,
+      quoteId: quoteAttached ? quoteId : null,
+    });
   } catch (err) {
     console.error('Error creating pickup:', err);
     return res.status(500).json({ success: false, error: 'Could not create pickup' });
   }
 });
 
+/**
+ * GET /api/pickups
+ * The caller's pickup history, newest first by default.
+ * Query: status (comma-separated), from / to (created_at range, to exclusive),
+ * sort (newest | oldest), limit (1-100, default 20), cursor (nextCursor of the previous page).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const query = pickupRows.parseListQuery(req.query);
+    if (query.error) return res.status(400).json({ success: false, error: query.error });
+
+    let supabase;
+    try {
+      supabase = createAnonClientWithJwt(jwt);
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const { pickups, nextCursor } = await pickupRows.listPickups(supabase, query);
+    return res.json({ success: true, count: pickups.length, pickups, nextCursor });
+  } catch (err) {
+    console.error('Error listing pickups:', err);
+    return res.status(500).json({ success: false, error: 'Could not list pickups' });
+  }
+});
+
 /**
  * GET /api/pickups/:id
  * Fetch a single pickup (status tracking)
@@ -137,38 +267,26 @@ router.get('/:id', async (req, res) => {
     const id = String(req.params.id || '').trim();
     if (!id) return res.status(400).json({ success: false, error: 'id is required' });
 
-    const { data, error } = await supabase
-      .from('pickups')
-      .select(
-        'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at,created_at,' +
-          'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name))'
-      )
-      .eq('id', id)
-      .maybeSingle();
+    const { data, error } = await supabase.from('pickups').select(pickupRows.PICKUP_COLUMNS).eq('id', id).maybeSingle();
 
     if (error) return res.status(400).json({ success: false, error: error.message });
     if (!data) return res.status(404).json({ success: false, error: 'pickup not found' });
 
+    // Payout, once the pickup is completed and settled (RLS: own pickups only).
+    let settlement = null;
+    if (data.status === STATES.COMPLETED) {
+      try {
+        settlement = settlements.toSettlementResponse(await settlements.fetchSettlement(supabase, id));
+      } catch (e) {
+        console.warn(`[SETTLEMENT] fetch_failed pickupId=${id} error=${e?.message || e}`);
+      }
+    }
+
     return res.json({
       success: true,
       pickup: {
-        id: data.id,
-        status: data.status,
-        address: data.address,
-        latitude: data.latitude,
-        longitude: data.longitude,
-        timeSlot: data.time_slot,
-        assignedVendorRef: data.assigned_vendor_ref,
-        assignmentExpiresAt: data.assignment_expires_at,
-        cancelledAt: data.cancelled_at,
-        completedAt: data.completed_at,
-        createdAt: data.created_at,
-        items: (data.pickup_items || []).map((it) => ({
-          id: it.id,
-          scrapTypeId: it.scrap_type_id,
-          scrapTypeName: it.scrap_types?.name || null,
-          estimatedQuantity: it.estimated_quantity,
-        })),
+        ...pickupRows.normalizePickupRow(data),
+        settlement,
       },
     });
   } catch (err) {
@@ -177,6 +295,127 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/pickups/:id
+ * Owner edits: address, latitude/longitude, timeSlot (+ pickupDate) and items.
+ * Items are fixed once a vendor is assigned; nothing can change after the vendor is en route.
+ * A new location or time slot withdraws any offer/assignment and restarts dispatch; so do new items
+ * while dispatch is searching. The edit is applied whole or not at all.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    let anon;
+    let service;
+    try {
+      anon = createAnonClientWithJwt(jwt);
+      service = createServiceClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const result = await pickupEdits.editPickup({ anon, service, pickupId: id, body: req.body });
+    if (result.error) return res.status(result.httpStatus).json(pickupStateMachine.errorBody(result));
+
+    const p = result.pickup;
+    return res.json({
+      success: true,
+      pickupId: id,
+      status: p.status,
+      updated: result.fields,
+      dispatchRestarted: result.dispatchRestarted,
+      address: p.address,
+      latitude: p.latitude,
+      longitude: p.longitude,
+      timeSlot: p.time_slot,
+      window: p.window_start ? { start: p.window_start, end: p.window_end } : null,
+    });
+  } catch (e) {
+    console.error('update pickup failed', e);
+    return res.status(500).json({ success: false, error: 'Could not update pickup' });
+  }
+});
+
+/**
+ * GET /api/pickups/:id/timeline
+ * Customer-facing history of a pickup. RLS restricts rows to the caller's own pickups and to
+ * customer-visible events; vendor refs and dispatch detail are not exposed.
+ */
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    let supabase;
+    try {
+      supabase = createAnonClientWithJwt(jwt);
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    // Distinguish "not your pickup" from "no events yet".
+    const { data: owned, error: ownErr } = await supabase.from('pickups').select('id,status').eq('id', id).maybeSingle();
+    if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
+    if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    const timeline = await pickupEvents.fetchTimeline(supabase, id);
+    return res.json({ success: true, pickupId: id, status: owned.status, timeline });
+  } catch (err) {
+    console.error('Error fetching pickup timeline:', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch pickup timeline' });
+  }
+});
+
+/**
+ * GET /api/pickups/:id/stream
+ * Server-Sent Events with live status, offer countdown, assignment and fulfilment updates
+ * (see services/pickupStream.js). Reconnects resume from the Last-Event-ID header; clients that
+ * cannot set headers may pass ?lastEventId= instead.
+ */
+router.get('/:id/stream', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const rawLastId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = rawLastId != null && String(rawLastId).trim() !== '' ? Number(rawLastId) : null;
+    if (lastEventId != null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+      return res.status(400).json({ success: false, error: 'Last-Event-ID must be a non-negative integer' });
+    }
+
+    let anon;
+    let service;
+    try {
+      anon = createAnonClientWithJwt(jwt);
+      service = createServiceClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    // RLS: only the owner gets the pickup, and so the stream.
+    const { data: pickup, error } = await anon.from('pickups').select(pickupRows.PICKUP_COLUMNS).eq('id', id).maybeSingle();
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not verify pickup' });
+    if (!pickup) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    await pickupStream.openPickupStream({ req, res, anon, service, pickup, lastEventId });
+  } catch (err) {
+    console.error('Error streaming pickup:', err);
+    if (!res.headersSent) return res.status(500).json({ success: false, error: 'Could not stream pickup' });
+    res.end();
+  }
+});
+
 /**
  * POST /api/pickups/:id/find-vendor
  * Customer-initiated retry: clears any current offer and restarts dispatch.
@@ -195,35 +434,20 @@ router.post('/:id/find-vendor', async (req, res) => {
     if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
     if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
 
-    const status = String(owned.status || '').toUpperCase();
-    if (status === 'ASSIGNED' || status === 'CANCELLED' || status === 'COMPLETED') {
-      return res.status(409).json({ success: false, error: `Cannot retry vendor assignment for status ${owned.status}` });
-    }
-
     const service = createServiceClient();
     // Clear any outstanding offer and force pickup back into FINDING_VENDOR.
     // This is safe because dispatcher acceptance is atomic/conditional.
-    await service
-      .from('pickups')
-      .update({
-        status: 'FINDING_VENDOR',
-        assigned_vendor_ref: null,
-        assignment_expires_at: null,
-        cancelled_at: null,
-      })
-      .eq('id', id);
-
-    // Cancel any in-memory timers/state for this pickup before restarting.
-    try {
-      const state = dispatcher?._internal?.dispatchState?.get(id);
-      if (state?.timer) clearTimeout(state.timer);
-      dispatcher?._internal?.dispatchState?.delete(id);
-    } catch {
-      // ignore
-    }
+    const restarted = await pickupStateMachine.transition(service, id, 'retry', {
+      actor: pickupEvents.ACTOR_CUSTOMER,
+      from: owned.status,
+    });
+    if (restarted.error) return res.status(restarted.httpStatus).json(pickupStateMachine.errorBody(restarted));
+
+    // Stop local timers, close the current dispatch job and tell vendors holding an offer.
+    await dispatcher.withdrawDispatch(id, { reason: 'retry_requested_by_customer', cancelled: true });
 
     dispatcher.dispatchPickup(id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
-    return res.json({ success: true, pickupId: id, status: 'FINDING_VENDOR' });
+    return res.json({ success: true, pickupId: id, status: restarted.pickup.status });
   } catch (e) {
     console.error('find-vendor failed', e);
     return res.status(500).json({ success: false, error: 'Could not restart vendor dispatch' });
@@ -243,37 +467,30 @@ router.post('/:id/cancel', async (req, res) => {
     if (!id) return res.status(400).json({ success: false, error: 'id is required' });
 
     const anon = createAnonClientWithJwt(jwt);
-    const { data: owned, error: ownErr } = await anon.from('pickups').select('id,status').eq('id', id).maybeSingle();
+    const { data: owned, error: ownErr } = await anon
+      .from('pickups')
+      .select('id,status,assigned_vendor_ref')
+      .eq('id', id)
+      .maybeSingle();
     if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
     if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
 
-    const status = String(owned.status || '').toUpperCase();
-    if (status === 'COMPLETED') {
-      return res.status(409).json({ success: false, error: 'Completed pickups cannot be cancelled' });
-    }
-
     const service = createServiceClient();
-    const now = new Date().toISOString();
-    await service
-      .from('pickups')
-      .update({
-        status: 'CANCELLED',
-        cancelled_at: now,
-        assigned_vendor_ref: null,
-        assignment_expires_at: null,
-      })
-      .eq('id', id);
-
-    // Stop any in-memory timers/state for this pickup.
-    try {
-      const state = dispatcher?._internal?.dispatchState?.get(id);
-      if (state?.timer) clearTimeout(state.timer);
-      dispatcher?._internal?.dispatchState?.delete(id);
-    } catch {
-      // ignore
-    }
+    const cancelled = await pickupStateMachine.transition(service, id, 'cancel', {
+      actor: pickupEvents.ACTOR_CUSTOMER,
+      from: owned.status,
+      event: { reason: 'cancelled_by_customer' },
+    });
+    if (cancelled.error) return res.status(cancelled.httpStatus).json(pickupStateMachine.errorBody(cancelled));
+
+    // Stop local timers, close the dispatch job and tell the vendors involved (offered or assigned).
+    await dispatcher.withdrawDispatch(id, {
+      assignedVendorRef: pickupStateMachine.ASSIGNED_STATES.includes(owned.status) ? owned.assigned_vendor_ref : null,
+      reason: 'cancelled_by_customer',
+      cancelled: true,
+    });
 
-    return res.json({ success: true, pickupId: id, status: 'CANCELLED' });
+    return res.json({ success: true, pickupId: id, status: cancelled.pickup.status });
   } catch (e) {
     console.error('cancel pickup failed', e);
     return res.status(500).json({ success: false, error: 'Could not cancel pickup' });
@@ -1,5 +1,6 @@
 const express = require('express');
 const { createPublicAnonClient } = require('../supabase/client');
+const scrapRates = require('../services/rates');
 
 const router = express.Router();
 
@@ -32,29 +33,14 @@ router.get('/', async (req, res) => {
       return res.json({ success: true, count: DEFAULT_TYPES.length, types: DEFAULT_TYPES });
     }
 
-    const { data: rates, error: ratesErr } = await supabase
-      .from('scrap_rates')
-      .select('scrap_type_id,rate_per_kg,effective_from,is_active')
-      .eq('is_active', true);
-
-    if (ratesErr) {
+    let latestRateByType;
+    try {
+      latestRateByType = await scrapRates.activeRateByType(supabase);
+    } catch (ratesErr) {
       console.warn('scrap_rates query failed; returning defaults:', ratesErr.message);
       return res.json({ success: true, count: DEFAULT_TYPES.length, types: DEFAULT_TYPES });
     }
 
-    const latestRateByType = new Map();
-    for (const r of rates || []) {
-      const prev = latestRateByType.get(r.scrap_type_id);
-      if (!prev) {
-        latestRateByType.set(r.scrap_type_id, r);
-        continue;
-      }
-      // pick latest effective_from
-      const prevDate = prev.effective_from ? new Date(prev.effective_from) : new Date(0);
-      const nextDate = r.effective_from ? new Date(r.effective_from) : new Date(0);
-      if (nextDate >= prevDate) latestRateByType.set(r.scrap_type_id, r);
-    }
-
     const out = (types || []).map((t) => ({
       id: t.id,
       name: t.name,
@@ -3,6 +3,12 @@ const express = require('express');
 const { verifyVendorSignature } = require('../vendor/security');
 const { createServiceClient } = require('../supabase/client');
 const dispatcher = require('../services/dispatcher');
+const { validateCapabilities } = require('../services/vendorCapabilities');
+const { staleAfterSeconds } = require('../services/vendorPresence');
+const vendorIndex = require('../services/vendorIndex');
+const fulfilment = require('../services/fulfilment');
+const pickupStateMachine = require('../services/pickupStateMachine');
+const settlements = require('../services/settlements');
 
 const router = express.Router();
 
@@ -40,10 +46,104 @@ router.post('/accept', async (req, res) => {
   }
 });
 
+// POST /api/vendor/en-route, /arrived, /complete
+// The assigned vendor moves the pickup ASSIGNED -> EN_ROUTE -> ARRIVED -> COMPLETED.
+// Body: { pickupId, vendor_id }; /complete also needs items: [{ item_id, actual_weight }] for every item.
+// Protected by HMAC signature of the raw request body.
+function fulfilmentStep(toStatus) {
+  return async (req, res) => {
+    const sig = verifyVendorSignature(req);
+    if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
+    const body = req.body || {};
+    const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
+    if (!pickupId) {
+      return res.status(400).json({
+        success: false,
+        error: 'pickupId is required (accepted keys: pickupId, pickup_id, request_id, requestId)',
+      });
+    }
+    const vendorRef = body.vendor_id || body.vendorId || body.assignedVendorRef;
+    if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+
+    try {
+      const result = await fulfilment.advanceFulfilment(createServiceClient(), {
+        pickupId: String(pickupId),
+        vendorRef: String(vendorRef),
+        toStatus,
+        body,
+      });
+      if (result.error) return res.status(result.httpStatus).json(pickupStateMachine.errorBody(result));
+      return res.json({
+        success: true,
+        pickup: result.pickup,
+        unchanged: Boolean(result.unchanged),
+        ...(result.settlement !== undefined ? { settlement: settlements.toSettlementResponse(result.settlement) } : {}),
+      });
+    } catch (e) {
+      console.error(`Vendor fulfilment ${toStatus} failed`, e);
+      return res.status(500).json({ success: false, error: 'Could not update pickup' });
+    }
+  };
+}
+
+router.post('/en-route', fulfilmentStep('EN_ROUTE'));
+router.post('/arrived', fulfilmentStep('ARRIVED'));
+router.post('/complete', fulfilmentStep('COMPLETED'));
+
+async function findVendorRow(supabase, vendorRef) {
+  let data;
+  let error;
+
+  ({ data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_id', String(vendorRef)).maybeSingle());
+
+  // Back-compat schema keyed by vendor_ref
+  if (error && /column .*vendor_id.*does not exist/i.test(error.message || '')) {
+    ({ data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_ref', String(vendorRef)).maybeSingle());
+  }
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateVendorRow(supabase, vendorRef, patch) {
+  let data;
+  let error;
+
+  ({ data, error } = await supabase
+    .from('vendor_backends')
+    .update(patch)
+    .eq('vendor_id', String(vendorRef))
+    .select('*')
+    .maybeSingle());
+
+  // Back-compat schema keyed by vendor_ref
+  if (error && /column .*vendor_id.*does not exist/i.test(error.message || '')) {
+    ({ data, error } = await supabase
+      .from('vendor_backends')
+      .update(patch)
+      .eq('vendor_ref', String(vendorRef))
+      .select('*')
+      .maybeSingle());
+  }
+
+  return { data, error };
+}
+
+function locationColumns(row, latitude, longitude) {
+  // Same columns /location writes: latitude/longitude, or last_* on the back-compat schema.
+  return 'vendor_id' in row ? { latitude, longitude } : { last_latitude: latitude, last_longitude: longitude };
+}
+
 // POST /api/vendor/location
-// Vendor backend posts its latest location and endpoint info.
-// NOTE: This endpoint is intentionally unauthenticated for now (write-only presence updates).
+// Vendor backend posts its latest location and endpoint info. Also counts as a heartbeat.
+// Capabilities are set with POST /api/vendor/capabilities.
+// Protected by HMAC signature of the raw request body: it refreshes presence, can bring a vendor
+// back online and sets the URL offers are sent to.
 router.post('/location', async (req, res) => {
+  const sig = verifyVendorSignature(req);
+  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
   const { vendor_id, vendorId, vendorRef, latitude, longitude, offer_url, offerUrl } = req.body || {};
   const incomingVendorId = vendor_id || vendorId || vendorRef;
 
@@ -58,6 +158,17 @@ router.post('/location', async (req, res) => {
     const now = new Date().toISOString();
     const offerUrlFinal = offer_url || offerUrl || null;
 
+    // A vendor that switched itself off stays off until POST /api/vendor/availability turns it on.
+    let existing = null;
+    try {
+      existing = await findVendorRow(supabase, incomingVendorId);
+    } catch (e) {
+      console.warn('vendor lookup failed; treating as new vendor', e?.message || e);
+    }
+    const pausedByVendor = existing?.offline_reason === 'vendor';
+    // New vendors, and vendors coming back from being offline, can take pickups that found nobody.
+    const comingOnline = !pausedByVendor && (!existing || existing.is_available === false || existing.active === false);
+
     // Preferred schema:
     // vendor_backends(vendor_id text unique, latitude numeric, longitude numeric, offer_url text, is_available bool, updated_at)
     const preferredRow = {
@@ -65,8 +176,10 @@ router.post('/location', async (req, res) => {
       latitude: latitude ?? null,
       longitude: longitude ?? null,
       offer_url: offerUrlFinal,
-      is_available: true,
+      is_available: !pausedByVendor,
       updated_at: now,
+      last_heartbeat_at: now,
+      ...(pausedByVendor ? {} : { offline_reason: null, went_offline_at: null }),
     };
 
     // Back-compat schema used by existing migrations:
@@ -76,7 +189,7 @@ router.post('/location', async (req, res) => {
       last_latitude: latitude ?? null,
       last_longitude: longitude ?? null,
       offer_url: offerUrlFinal,
-      active: true,
+      active: !pausedByVendor,
       updated_at: now,
     };
 
@@ -101,15 +214,171 @@ router.post('/location', async (req, res) => {
       console.warn('vendor location upsert error', error.message || error);
       return res.status(400).json({ success: false, error: error.message || 'Could not upsert vendor location' });
     }
+    vendorIndex.upsertPosition(incomingVendorId, latitude, longitude);
+    if (comingOnline) {
+      dispatcher
+        .redispatchNearVendor(incomingVendorId, { latitude, longitude })
+        .catch((e) => console.warn('[DISPATCH] vendor_online_redispatch_failed', e?.message || e));
+    }
 
     // Write-only presence: return minimal confirmation.
-    return res.json({ success: true, vendor_id: String(incomingVendorId), updated_at: data?.updated_at || now });
+    return res.json({
+      success: true,
+      vendor_id: String(incomingVendorId),
+      updated_at: data?.updated_at || now,
+      is_available: !pausedByVendor,
+      stale_after_seconds: staleAfterSeconds(),
+    });
   } catch (e) {
     console.error('Vendor location failed', e);
     return res.status(500).json({ success: false, error: 'Vendor location failed' });
   }
 });
 
+// POST /api/vendor/heartbeat
+// Lightweight presence ping for vendors that are online but not moving.
+// Body: { vendor_id, latitude?, longitude? }. Send more often than stale_after_seconds.
+// Protected by HMAC signature of the raw request body (it can bring a vendor back online).
+router.post('/heartbeat', async (req, res) => {
+  const sig = verifyVendorSignature(req);
+  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
+  const { vendor_id, vendorId, vendorRef, latitude, longitude } = req.body || {};
+  const incomingVendorId = vendor_id || vendorId || vendorRef;
+  if (!incomingVendorId) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+
+  const hasLocation = latitude != null || longitude != null;
+  if (hasLocation && (typeof latitude !== 'number' || typeof longitude !== 'number')) {
+    return res.status(400).json({ success: false, error: 'latitude and longitude must be numbers' });
+  }
+
+  try {
+    const supabase = createServiceClient();
+    const existing = await findVendorRow(supabase, incomingVendorId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'vendor not registered; POST /api/vendor/location first' });
+    }
+
+    const now = new Date().toISOString();
+    const pausedByVendor = existing.offline_reason === 'vendor';
+    const patch = {
+      updated_at: now,
+      last_heartbeat_at: now,
+      ...(pausedByVendor ? {} : { is_available: true, offline_reason: null, went_offline_at: null }),
+      ...(hasLocation ? locationColumns(existing, latitude, longitude) : {}),
+    };
+
+    const { error } = await updateVendorRow(supabase, incomingVendorId, patch);
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not record heartbeat' });
+    if (hasLocation) vendorIndex.upsertPosition(incomingVendorId, latitude, longitude);
+
+    if (existing.offline_reason === 'stale') {
+      console.log(`[PRESENCE] vendor_back_online vendor_id=${incomingVendorId}`);
+      dispatcher
+        .redispatchNearVendor(incomingVendorId, {
+          latitude: hasLocation ? latitude : existing.latitude ?? existing.last_latitude,
+          longitude: hasLocation ? longitude : existing.longitude ?? existing.last_longitude,
+        })
+        .catch((e) => console.warn('[DISPATCH] vendor_online_redispatch_failed', e?.message || e));
+    }
+
+    return res.json({
+      success: true,
+      vendor_id: String(incomingVendorId),
+      is_available: !pausedByVendor,
+      last_heartbeat_at: now,
+      stale_after_seconds: staleAfterSeconds(),
+    });
+  } catch (e) {
+    console.error('Vendor heartbeat failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor heartbeat failed' });
+  }
+});
+
+// POST /api/vendor/availability
+// Vendor goes on/off duty explicitly. Body: { vendor_id, available: boolean }
+// Protected by HMAC signature of the raw request body.
+router.post('/availability', async (req, res) => {
+  const sig = verifyVendorSignature(req);
+  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
+  const body = req.body || {};
+  const vendorRef = body.vendor_id || body.vendorId || body.vendorRef;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+  if (typeof body.available !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'available must be a boolean' });
+  }
+
+  try {
+    const supabase = createServiceClient();
+    const now = new Date().toISOString();
+    const patch = body.available
+      ? { is_available: true, offline_reason: null, went_offline_at: null, last_heartbeat_at: now, updated_at: now }
+      : { is_available: false, offline_reason: 'vendor', went_offline_at: now, updated_at: now };
+
+    const { data, error } = await updateVendorRow(supabase, vendorRef, patch);
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not update availability' });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'vendor not registered; POST /api/vendor/location first' });
+    }
+
+    console.log(`[PRESENCE] vendor_availability vendor_id=${vendorRef} available=${body.available}`);
+    if (body.available) {
+      dispatcher
+        .redispatchNearVendor(vendorRef, {
+          latitude: data.latitude ?? data.last_latitude,
+          longitude: data.longitude ?? data.last_longitude,
+        })
+        .catch((e) => console.warn('[DISPATCH] vendor_online_redispatch_failed', e?.message || e));
+    }
+    return res.json({ success: true, vendor_id: String(vendorRef), is_available: body.available });
+  } catch (e) {
+    console.error('Vendor availability failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor availability failed' });
+  }
+});
+
+// POST /api/vendor/capabilities
+// Vendor backend declares which scrap types it handles and its maximum load.
+// Body: { vendor_id, scrap_type_ids: [uuid] | null, max_load_kg: number | null }
+// Protected by HMAC signature of the raw request body.
+router.post('/capabilities', async (req, res) => {
+  const sig = verifyVendorSignature(req);
+  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
+  const body = req.body || {};
+  const vendorRef = body.vendor_id || body.vendorId || body.vendorRef;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+
+  const capabilities = validateCapabilities(body);
+  if (capabilities.error) return res.status(400).json({ success: false, error: capabilities.error });
+  if (!Object.keys(capabilities.row).length) {
+    return res.status(400).json({ success: false, error: 'Provide scrap_type_ids and/or max_load_kg' });
+  }
+
+  try {
+    const supabase = createServiceClient();
+    const patch = { ...capabilities.row, updated_at: new Date().toISOString() };
+
+    const { data, error } = await updateVendorRow(supabase, vendorRef, patch);
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not update capabilities' });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'vendor not registered; POST /api/vendor/location first' });
+    }
+
+    return res.json({
+      success: true,
+      vendor_id: String(vendorRef),
+      scrap_type_ids: data.accepted_scrap_type_ids ?? null,
+      max_load_kg: data.max_load_kg ?? null,
+    });
+  } catch (e) {
+    console.error('Vendor capabilities failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor capabilities failed' });
+  }
+});
+
 // POST /api/vendor/reject
 // Vendor backend calls this to reject an offered pickup.
 router.post('/reject', async (req, res) => {
@@ -138,5 +407,37 @@ router.post('/reject', async (req, res) => {
   }
 });
 
+// POST /api/vendor/release
+// The assigned vendor hands an accepted pickup back (ASSIGNED or EN_ROUTE), e.g. after a breakdown.
+// Body: { pickupId, vendor_id, reason }. The pickup goes back to FINDING_VENDOR without this vendor.
+router.post('/release', async (req, res) => {
+  const sig = verifyVendorSignature(req);
+  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+
+  const body = req.body || {};
+  const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
+  if (!pickupId) {
+    return res.status(400).json({
+      success: false,
+      error: 'pickupId is required (accepted keys: pickupId, pickup_id, request_id, requestId)',
+    });
+  }
+  const vendorRef = body.vendor_id || body.vendorId || body.assignedVendorRef;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) return res.status(400).json({ success: false, error: 'reason is required' });
+  if (reason.length > 300) return res.status(400).json({ success: false, error: 'reason must be at most 300 characters' });
+
+  try {
+    const result = await dispatcher.handleVendorRelease(String(pickupId), String(vendorRef), reason);
+    if (result.error) return res.status(result.httpStatus).json(pickupStateMachine.errorBody(result));
+    return res.json({ success: true, pickup: result.pickup });
+  } catch (e) {
+    console.error('Vendor release failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor release failed' });
+  }
+});
+
 module.exports = router;
 
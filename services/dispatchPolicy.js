@@ -0,0 +1,217 @@
+// Dispatch policy: how long offers last, how far and how many vendors we try,
+// and which distance rings are exhausted before expanding outward.
+//
+// Sources (later wins):
+// 1) built-in defaults
+// 2) env vars (DISPATCH_*)
+// 3) a dispatch_policies row (migration 006) when DISPATCH_POLICY_NAME is set
+//
+// Ranking weights (services/vendorScoring.js) are part of the policy as well, and so are the
+// lead time before a scheduled pickup's window opens at which dispatch starts and the
+// automatic re-dispatch schedule for pickups left in NO_VENDOR_AVAILABLE. The dispatch strategy
+// (services/dispatchStrategy.js) is named here too, optionally per service zone.
+//
+// The resolved policy is snapshotted into each dispatch job so a resumed job keeps
+// using the policy it started with.
+
+const vendorScoring = require('./vendorScoring');
+
+const POLICY_CACHE_MS = 60 * 1000;
+
+const DEFAULTS = {
+  name: 'default',
+  source: 'default',
+  mode: 'sequential',
+  broadcastSize: 3,
+  offerTtlSeconds: 120,
+  maxRadiusKm: 15,
+  maxCandidates: 20,
+  ringsKm: [3, 7, 15],
+  weights: vendorScoring.DEFAULT_WEIGHTS,
+  scheduleLeadMinutes: 60,
+  // Retry n waits redispatchBackoffSeconds[n - 1] (the last entry repeats); 0 attempts disables.
+  redispatchBackoffSeconds: [60, 300, 900, 1800],
+  redispatchMaxAttempts: 4,
+  strategy: 'nearest',
+  // [{ zone, strategy, center: [lat, lon], radiusKm } | { zone, strategy, bbox: { minLat, maxLat, minLon, maxLon } }]
+  zoneStrategies: [],
+};
+
+let cached = null;
+let cachedAt = 0;
+
+function positiveNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function positiveInt(v) {
+  const n = positiveNumber(v);
+  return n != null && Number.isInteger(n) ? n : null;
+}
+
+function nonNegativeInt(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+function parsePositiveList(v) {
+  if (v == null || v === '') return null;
+  const list = (Array.isArray(v) ? v : String(v).split(','))
+    .map((x) => positiveNumber(typeof x === 'string' ? x.trim() : x))
+    .filter((x) => x != null);
+  return list.length ? list : null;
+}
+
+function parseMode(v) {
+  const m = String(v || '').toLowerCase();
+  return m === 'broadcast' || m === 'sequential' ? m : null;
+}
+
+function parseStrategyName(v) {
+  const name = String(v || '').trim();
+  return /^[a-z0-9_]+$/i.test(name) ? name : null;
+}
+
+function parseZones(v) {
+  // JSON array (env) or jsonb (dispatch_policies.zone_strategies); invalid zones are dropped.
+  if (v == null || v === '') return null;
+  let list = v;
+  if (typeof v === 'string') {
+    try {
+      list = JSON.parse(v);
+    } catch {
+      console.warn('[DISPATCH] strategy_zones_invalid: not JSON; ignoring');
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+  return list.filter((z) => {
+    if (!z || !parseStrategyName(z.strategy)) return false;
+    const hasCircle = Array.isArray(z.center) && z.center.length === 2 && positiveNumber(z.radiusKm) != null;
+    const hasBox = z.bbox && ['minLat', 'maxLat', 'minLon', 'maxLon'].every((k) => Number.isFinite(Number(z.bbox[k])));
+    return hasCircle || hasBox;
+  });
+}
+
+function normalizePolicy(p) {
+  // Rings beyond the radius are pointless; the radius is always the last ring.
+  const maxRadiusKm = p.maxRadiusKm;
+  const ringsKm = [...new Set(p.ringsKm.filter((r) => r < maxRadiusKm).concat(maxRadiusKm))].sort((a, b) => a - b);
+  return { ...p, ringsKm };
+}
+
+function policyFromEnv(env = process.env) {
+  return normalizePolicy({
+    ...DEFAULTS,
+    source: 'env',
+    mode: parseMode(env.DISPATCH_OFFER_MODE) || DEFAULTS.mode,
+    broadcastSize: positiveInt(env.DISPATCH_BROADCAST_SIZE) || DEFAULTS.broadcastSize,
+    offerTtlSeconds: positiveInt(env.DISPATCH_OFFER_TTL_SECONDS) || DEFAULTS.offerTtlSeconds,
+    maxRadiusKm: positiveNumber(env.DISPATCH_MAX_RADIUS_KM) || DEFAULTS.maxRadiusKm,
+    maxCandidates: positiveInt(env.DISPATCH_MAX_CANDIDATES) || DEFAULTS.maxCandidates,
+    ringsKm: parsePositiveList(env.DISPATCH_RINGS_KM) || DEFAULTS.ringsKm,
+    weights: vendorScoring.weightsFromEnv(env),
+    scheduleLeadMinutes: nonNegativeInt(env.DISPATCH_SCHEDULE_LEAD_MINUTES) ?? DEFAULTS.scheduleLeadMinutes,
+    redispatchBackoffSeconds: parsePositiveList(env.DISPATCH_REDISPATCH_BACKOFF_SECONDS) || DEFAULTS.redispatchBackoffSeconds,
+    redispatchMaxAttempts: nonNegativeInt(env.DISPATCH_REDISPATCH_MAX_ATTEMPTS) ?? DEFAULTS.redispatchMaxAttempts,
+    strategy: parseStrategyName(env.DISPATCH_STRATEGY) || DEFAULTS.strategy,
+    zoneStrategies: parseZones(env.DISPATCH_STRATEGY_ZONES) || DEFAULTS.zoneStrategies,
+  });
+}
+
+function policyFromRow(row, base) {
+  return normalizePolicy({
+    ...base,
+    name: row.name,
+    source: 'database',
+    mode: parseMode(row.mode) || base.mode,
+    broadcastSize: positiveInt(row.broadcast_size) || base.broadcastSize,
+    offerTtlSeconds: positiveInt(row.offer_ttl_seconds) || base.offerTtlSeconds,
+    maxRadiusKm: positiveNumber(row.max_radius_km) || base.maxRadiusKm,
+    maxCandidates: positiveInt(row.max_candidates) || base.maxCandidates,
+    ringsKm: parsePositiveList(row.rings_km) || base.ringsKm,
+    weights: vendorScoring.parseWeights(row.weights, base.weights),
+    scheduleLeadMinutes: nonNegativeInt(row.schedule_lead_minutes) ?? base.scheduleLeadMinutes,
+    redispatchBackoffSeconds: parsePositiveList(row.redispatch_backoff_seconds) || base.redispatchBackoffSeconds,
+    redispatchMaxAttempts: nonNegativeInt(row.redispatch_max_attempts) ?? base.redispatchMaxAttempts,
+    strategy: parseStrategyName(row.strategy) || base.strategy,
+    zoneStrategies: parseZones(row.zone_strategies) || base.zoneStrategies,
+  });
+}
+
+async function loadDispatchPolicy(supabase) {
+  if (cached && Date.now() - cachedAt < POLICY_CACHE_MS) return cached;
+
+  const envPolicy = policyFromEnv();
+  let policy = envPolicy;
+
+  const name = String(process.env.DISPATCH_POLICY_NAME || '').trim();
+  if (name && supabase) {
+    try {
+      const { data, error } = await supabase
+        .from('dispatch_policies')
+        .select('*')
+        .eq('name', name)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        console.warn(`[DISPATCH] policy_query_failed name=${name} error=${error.message || error}; using env policy`);
+      } else if (!data) {
+        console.warn(`[DISPATCH] policy_not_found name=${name}; using env policy`);
+      } else {
+        policy = policyFromRow(data, envPolicy);
+      }
+    } catch (e) {
+      console.warn(`[DISPATCH] policy_query_failed name=${name} error=${e?.message || e}; using env policy`);
+    }
+  }
+
+  cached = policy;
+  cachedAt = Date.now();
+  return policy;
+}
+
+function policyLabel(policy) {
+  if (!policy) return 'legacy';
+  return `${policy.name}@${policy.source}`;
+}
+
+function describePolicy(policy) {
+  if (!policy) return 'policy=legacy';
+  return (
+    `policy=${policyLabel(policy)} strategy=${policy.strategy || DEFAULTS.strategy} zones=${(policy.zoneStrategies || []).length} ` +
+    `mode=${policy.mode} ttlSec=${policy.offerTtlSeconds} ` +
+    `radiusKm=${policy.maxRadiusKm} maxCandidates=${policy.maxCandidates} rings=${policy.ringsKm.join('/')} ` +
+    `leadMin=${policy.scheduleLeadMinutes ?? DEFAULTS.scheduleLeadMinutes} ` +
+    `retries=${policy.redispatchMaxAttempts ?? DEFAULTS.redispatchMaxAttempts}@` +
+    `${(policy.redispatchBackoffSeconds || DEFAULTS.redispatchBackoffSeconds).join('/')}s ` +
+    `weights=${Object.entries(policy.weights || {}).map(([k, v]) => `${k}:${v}`).join(',')}`
+  );
+}
+
+function ringFor(policy, distanceKm) {
+  // Smallest ring that contains the vendor, or null when outside the radius.
+  if (!Number.isFinite(distanceKm)) return null;
+  for (const r of policy.ringsKm) {
+    if (distanceKm <= r) return r;
+  }
+  return null;
+}
+
+function clearPolicyCache() {
+  cached = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadDispatchPolicy,
+  policyFromEnv,
+  policyLabel,
+  describePolicy,
+  ringFor,
+  clearPolicyCache,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Durable dispatch jobs (see supabase/migrations/004_dispatch_jobs.sql).
+// A job stores the ranked candidate snapshot, the index of the candidate being
+// offered, every attempt made so far and the current offer deadline.
+// Workers hold a short lease while they mutate a job so that two backend
+// instances never send offers for the same pickup. Every claim issues a fresh
+// lease_token; progress writes match the token of the claim they act on, so a
+// stale holder (lease expired and re-claimed, even by this same process) is fenced out.
+
+const JOB_ACTIVE = 'active';
+const JOB_WAITING = 'waiting';
+const JOB_DONE = 'done';
+const JOB_EXHAUSTED = 'exhausted';
+
+// Offer modes (migration 005): one vendor at a time, or N vendors at once.
+const MODE_SEQUENTIAL = 'sequential';
+const MODE_BROADCAST = 'broadcast';
+
+const LEASE_SECONDS = Number(process.env.DISPATCH_LEASE_SECONDS || 30);
+
+// Unique per process: hostname + pid + random suffix (pids are reused across restarts).
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+function leaseExpiresIso() {
+  return new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+}
+
+async function startJob(supabase, pickupId, candidates, options = {}) {
+  // Replaces any previous job for this pickup (e.g. customer-initiated retry).
+  // A worker still holding the old lease will fail its next save and stop.
+  const now = new Date().toISOString();
+  const row = {
+    pickup_id: pickupId,
+    status: JOB_ACTIVE,
+    mode: options.mode || MODE_SEQUENTIAL,
+    batch_size: options.batchSize || 1,
+    policy: options.policy || null,
+    exclusions: options.exclusions || [],
+    candidates: candidates || [],
+    current_index: 0,
+    attempts: [],
+    offer_deadline: null,
+    lease_owner: WORKER_ID,
+    lease_token: crypto.randomUUID(),
+    lease_expires_at: leaseExpiresIso(),
+    created_at: now,
+    updated_at: now,
+  };
+
+  const { data, error } = await supabase
+    .from('dispatch_jobs')
+    .upsert([row], { onConflict: 'pickup_id' })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function loadJob(supabase, pickupId) {
+  const { data, error } = await supabase.from('dispatch_jobs').select('*').eq('pickup_id', pickupId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function claimJob(supabase, pickupId) {
+  const { data, error } = await supabase.rpc('claim_dispatch_job', {
+    p_pickup_id: pickupId,
+    p_worker: WORKER_ID,
+    p_lease_seconds: LEASE_SECONDS,
+  });
+  if (error) throw error;
+  return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+async function claimDueJobs(supabase, limit = 50) {
+  const { data, error } = await supabase.rpc('claim_due_dispatch_jobs', {
+    p_worker: WORKER_ID,
+    p_lease_seconds: LEASE_SECONDS,
+    p_limit: limit,
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+async function saveProgress(supabase, job, patch) {
+  // Persist progress and extend the lease; succeeds only while `job`'s claim still holds it.
+  const { data, error } = await supabase
+    .from('dispatch_jobs')
+    .update({ ...patch, lease_expires_at: leaseExpiresIso(), updated_at: new Date().toISOString() })
+    .eq('pickup_id', job.pickup_id)
+    .eq('lease_token', job.lease_token)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function releaseJob(supabase, job) {
+  const { error } = await supabase
+    .from('dispatch_jobs')
+    .update({ lease_owner: null, lease_token: null, lease_expires_at: null, updated_at: new Date().toISOString() })
+    .eq('pickup_id', job.pickup_id)
+    .eq('lease_token', job.lease_token);
+  if (error) console.warn('[DISPATCH] job_release_failed', job.pickup_id, error.message || error);
+}
+
+async function finishJob(supabase, pickupId, status, patch = {}) {
+  // Terminal write: not lease-guarded because acceptance/cancel are authoritative.
+  const { error } = await supabase
+    .from('dispatch_jobs')
+    .update({
+      ...patch,
+      status,
+      offer_deadline: null,
+      lease_owner: null,
+      lease_token: null,
+      lease_expires_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('pickup_id', pickupId);
+  if (error) console.warn('[DISPATCH] job_finish_failed', pickupId, error.message || error);
+}
+
+module.exports = {
+  JOB_ACTIVE,
+  JOB_WAITING,
+  JOB_DONE,
+  JOB_EXHAUSTED,
+  MODE_SEQUENTIAL,
+  MODE_BROADCAST,
+  WORKER_ID,
+  startJob,
+  loadJob,
+  claimJob,
+  claimDueJobs,
+  saveProgress,
+  releaseJob,
+  finishJob,
+};
@@ -0,0 +1,187 @@
+// Dispatch strategies: which vendors a pickup is offered to, in what order, and how many at once.
+//
+// A strategy is a plain object with three steps that never touch Supabase; the dispatcher loads
+// vendors and signals and passes them in, so each step runs on hand-built data
+// (test/dispatchStrategy.test.js):
+//
+//   selectCandidates({ pickup, vendors, policy, requirements, skipRefs, isCircuitOpen })
+//     -> { eligible: [{ vendor, distanceKm, ringKm }], exclusions: [{ vendor_ref, reason, detail? }], outsideRadius }
+//   rankCandidates({ eligible, policy, signals, hasPickupLocation, now })
+//     -> [{ vendor, distanceKm, ringKm, scored }] best first, at most policy.maxCandidates
+//   nextOffer({ candidates, fromIndex, batchSize, isRejected })
+//     -> { skipped: [index], offer: [index], nextIndex }
+//
+// `signals` is what vendorScoring.fetchVendorSignals returns; the dispatcher loads it between
+// selection and ranking. `candidates` in nextOffer are the snapshots stored on the dispatch job.
+//
+// Which strategy runs: the first zone in policy.zoneStrategies containing the pickup, otherwise
+// policy.strategy (env DISPATCH_STRATEGY / DISPATCH_STRATEGY_ZONES or the dispatch_policies row).
+// The chosen name is snapshotted into the job so a resumed job keeps its strategy.
+
+const dispatchPolicy = require('./dispatchPolicy');
+const vendorCapabilities = require('./vendorCapabilities');
+const vendorScoring = require('./vendorScoring');
+const vendorPresence = require('./vendorPresence');
+const { haversineDistanceKm } = require('./vendorIndex');
+
+const DEFAULT_STRATEGY = 'nearest';
+
+const strategies = new Map();
+
+function vendorRefOf(v) {
+  return String(v?.vendor_id || v?.vendor_ref || v?.id || 'unknown');
+}
+
+function pickupLocationOf(pickup) {
+  const lat = Number(pickup?.latitude) || Number(pickup?.lat) || null;
+  const lon = Number(pickup?.longitude) || Number(pickup?.lon) || Number(pickup?.lng) || null;
+  return lat != null && lon != null ? { lat, lon } : null;
+}
+
+function selectWithinRings({ pickup, vendors, policy, requirements, skipRefs, isCircuitOpen }) {
+  // Vendors inside the policy radius (tagged with their ring) that can take this pickup.
+  const location = pickupLocationOf(pickup);
+  let outsideRadius = 0;
+  const inRange = (vendors || [])
+    .map((v) => {
+      const vx = Number(v.last_latitude || v.latitude || v.lat || 0);
+      const vy = Number(v.last_longitude || v.longitude || v.lon || v.lng || 0);
+      const distanceKm = location ? haversineDistanceKm(location.lat, location.lon, vx, vy) : Number.MAX_SAFE_INTEGER;
+      const ringKm = location ? dispatchPolicy.ringFor(policy, distanceKm) : null;
+      return { vendor: v, distanceKm, ringKm };
+    })
+    .filter((r) => {
+      if (!location || r.ringKm != null) return true;
+      outsideRadius += 1;
+      return false;
+    });
+
+  const exclusions = [];
+  const eligible = inRange.filter((r) => {
+    const ref = vendorRefOf(r.vendor);
+    if (skipRefs && skipRefs.has(ref)) {
+      exclusions.push({ vendor_ref: ref, reason: 'previously_rejected' });
+      return false;
+    }
+    if (isCircuitOpen && isCircuitOpen(ref)) {
+      exclusions.push({ vendor_ref: ref, reason: 'circuit_open' });
+      return false;
+    }
+    const excluded = vendorCapabilities.capabilityExclusion(r.vendor, requirements);
+    if (excluded) {
+      exclusions.push({ vendor_ref: ref, ...excluded });
+      return false;
+    }
+    return true;
+  });
+
+  return { eligible, exclusions, outsideRadius };
+}
+
+function scoreAll({ eligible, policy, signals, hasPickupLocation, now = Date.now() }) {
+  // Distance + acceptance/timeout/rejection history + location freshness (services/vendorScoring.js).
+  return eligible.map((r) => {
+    const ref = vendorRefOf(r.vendor);
+    const scored = vendorScoring.scoreVendor({
+      distanceKm: hasPickupLocation ? r.distanceKm : NaN,
+      maxRadiusKm: policy.maxRadiusKm,
+      stats: signals?.stats?.get(ref),
+      recentRejections: signals?.rejections?.get(ref) || 0,
+      updatedAt: vendorPresence.lastSeenOf(r.vendor),
+      now,
+      weights: policy.weights,
+    });
+    return { ...r, scored };
+  });
+}
+
+function nextOfferBatch({ candidates, fromIndex, batchSize, isRejected, sameRingOnly }) {
+  // Walk forward from fromIndex, skipping vendors that already rejected, until batchSize are picked.
+  const skipped = [];
+  const offer = [];
+  let index = fromIndex;
+  while (index < candidates.length && offer.length < Math.max(1, batchSize)) {
+    const candidate = candidates[index];
+    if (sameRingOnly && offer.length && (candidate.ring_km ?? null) !== (candidates[offer[0]].ring_km ?? null)) break;
+    if (isRejected && isRejected(vendorRefOf(candidate))) skipped.push(index);
+    else offer.push(index);
+    index += 1;
+  }
+  return { skipped, offer, nextIndex: index };
+}
+
+// Default: inner rings are exhausted before expanding outward; best score first within a ring.
+// A broadcast batch never spans rings.
+const nearestStrategy = {
+  name: 'nearest',
+  selectCandidates: selectWithinRings,
+  rankCandidates(ctx) {
+    return scoreAll(ctx)
+      .sort((a, b) => (a.ringKm ?? 0) - (b.ringKm ?? 0) || b.scored.score - a.scored.score || a.distanceKm - b.distanceKm)
+      .slice(0, ctx.policy.maxCandidates);
+  },
+  nextOffer(ctx) {
+    return nextOfferBatch({ ...ctx, sameRingOnly: true });
+  },
+};
+
+// Best score anywhere in the radius: rings are ignored, so a reliable vendor a little further
+// out is offered before an unreliable one next door.
+const bestScoreStrategy = {
+  name: 'best_score',
+  selectCandidates: selectWithinRings,
+  rankCandidates(ctx) {
+    return scoreAll(ctx)
+      .sort((a, b) => b.scored.score - a.scored.score || a.distanceKm - b.distanceKm)
+      .slice(0, ctx.policy.maxCandidates);
+  },
+  nextOffer(ctx) {
+    return nextOfferBatch({ ...ctx, sameRingOnly: false });
+  },
+};
+
+function registerStrategy(strategy) {
+  for (const step of ['selectCandidates', 'rankCandidates', 'nextOffer']) {
+    if (typeof strategy?.[step] !== 'function') throw new Error(`dispatch strategy ${strategy?.name} is missing ${step}()`);
+  }
+  strategies.set(strategy.name, strategy);
+}
+
+function getStrategy(name) {
+  const strategy = strategies.get(name || DEFAULT_STRATEGY);
+  if (strategy) return strategy;
+  console.warn(`[DISPATCH] strategy_unknown name=${name}; using ${DEFAULT_STRATEGY}`);
+  return strategies.get(DEFAULT_STRATEGY);
+}
+
+function zoneContains(zone, location) {
+  if (!zone || !location) return false;
+  if (Array.isArray(zone.center) && Number(zone.radiusKm) > 0) {
+    return haversineDistanceKm(location.lat, location.lon, Number(zone.center[0]), Number(zone.center[1])) <= Number(zone.radiusKm);
+  }
+  if (zone.bbox) {
+    const { minLat, maxLat, minLon, maxLon } = zone.bbox;
+    return location.lat >= minLat && location.lat <= maxLat && location.lon >= minLon && location.lon <= maxLon;
+  }
+  return false;
+}
+
+function resolveStrategy(policy, pickup) {
+  // -> { strategy, zone }: the first matching service zone wins, else the policy default.
+  const location = pickupLocationOf(pickup);
+  for (const zone of policy?.zoneStrategies || []) {
+    if (zoneContains(zone, location)) return { strategy: getStrategy(zone.strategy), zone: zone.zone || null };
+  }
+  return { strategy: getStrategy(policy?.strategy), zone: null };
+}
+
+registerStrategy(nearestStrategy);
+registerStrategy(bestScoreStrategy);
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  resolveStrategy,
+  strategyNames: () => [...strategies.keys()],
+};
@@ -1,19 +1,80 @@
-const fetch = require('node-fetch');
 const { createServiceClient } = require('../supabase/client');
-
-// In-memory dispatch state (timers, candidate lists)
+const dispatchQueue = require('./dispatchQueue');
+const dispatchPolicy = require('./dispatchPolicy');
+const vendorCapabilities = require('./vendorCapabilities');
+const vendorScoring = require('./vendorScoring');
+const vendorPresence = require('./vendorPresence');
+const offerDelivery = require('./offerDelivery');
+const pickupEvents = require('./pickupEvents');
+const pickupStateMachine = require('./pickupStateMachine');
+const vendorIndex = require('./vendorIndex');
+const dispatchStrategy = require('./dispatchStrategy');
+const metrics = require('./metrics');
+const vendorNotifications = require('./vendorNotifications');
+
+const { STATES } = pickupStateMachine;
+
+// Local offer timers only. Candidate lists, progress and deadlines live in
+// dispatch_jobs (services/dispatchQueue.js) so they survive restarts.
 const dispatchState = new Map();
 
 let sweeperTimer = null;
 
-function statusFindingVendor() { return 'FINDING_VENDOR'; }
-function statusAssigned() { return 'ASSIGNED'; }
-function statusNoVendorAvailable() { return 'NO_VENDOR_AVAILABLE'; }
-function statusCancelled() { return 'CANCELLED'; }
-function statusCompleted() { return 'COMPLETED'; }
+// GET /metrics (services/metrics.js)
+const offersSentTotal = metrics.counter({
+  name: 'scrapco_dispatch_offers_sent_total',
+  help: 'Offers delivered to vendor backends, by offer mode.',
+  labelNames: ['mode'],
+});
+const offerFailuresTotal = metrics.counter({
+  name: 'scrapco_dispatch_offer_failures_total',
+  help: 'Offers that could not be delivered after retries, by offer mode.',
+  labelNames: ['mode'],
+});
+const offerTimeoutsTotal = metrics.counter({
+  name: 'scrapco_dispatch_offer_timeouts_total',
+  help: 'Offers that expired without a vendor response, by offer mode.',
+  labelNames: ['mode'],
+});
+const offerRejectionsTotal = metrics.counter({
+  name: 'scrapco_dispatch_offer_rejections_total',
+  help: 'Offers rejected by vendors.',
+});
+const vendorReleasesTotal = metrics.counter({
+  name: 'scrapco_dispatch_vendor_releases_total',
+  help: 'Assigned pickups handed back by the vendor (POST /api/vendor/release).',
+});
+const offerAcceptancesTotal = metrics.counter({
+  name: 'scrapco_dispatch_offer_acceptances_total',
+  help: 'Offers accepted by vendors (pickup assigned), by offer mode.',
+  labelNames: ['mode'],
+});
+const timeToAssignSeconds = metrics.histogram({
+  name: 'scrapco_dispatch_time_to_assign_seconds',
+  help: 'Seconds from pickup creation to vendor assignment, by offer mode.',
+  labelNames: ['mode'],
+  buckets: [15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200, 21600],
+});
+const sweeperRunsTotal = metrics.counter({
+  name: 'scrapco_dispatch_sweeper_runs_total',
+  help: 'Dispatcher sweeper runs, by result (ok, error, or skipped while the previous pass was still running).',
+  labelNames: ['result'],
+});
+const sweeperDurationSeconds = metrics.histogram({
+  name: 'scrapco_dispatch_sweeper_duration_seconds',
+  help: 'Dispatcher sweeper run time in seconds.',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+metrics.gauge({
+  name: 'scrapco_dispatch_local_timers',
+  help: 'Offer timers held in this instance (size of dispatchState).',
+  collect: () => dispatchState.size,
+});
 
 function isTerminalStatus(status) {
-  return status === statusAssigned() || status === statusCancelled() || status === statusCompleted();
+  // Terminal for dispatch: assigned pickups move on through services/fulfilment.js
+  // (or come back to FINDING_VENDOR through handleVendorRelease).
+  return pickupStateMachine.ASSIGNED_STATES.includes(status) || pickupStateMachine.isFinal(status);
 }
 
 function vendorIdOf(v) {
@@ -94,8 +155,24 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function plusMinutesIso(minutes) {
-  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+function plusSecondsIso(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+function scheduleLeadMsOf(policy) {
+  const minutes = Number(policy?.scheduleLeadMinutes);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : dispatchPolicy.DEFAULTS.scheduleLeadMinutes) * 60 * 1000;
+}
+
+function dispatchAtOf(windowStart, policy) {
+  // Offers for a scheduled pickup start this long before its window opens.
+  if (!windowStart) return null;
+  return new Date(new Date(windowStart).getTime() - scheduleLeadMsOf(policy));
+}
+
+function offerTtlSecondsOf(job) {
+  // Jobs started before policies existed keep the original 2-minute offer.
+  return Number(job?.policy?.offerTtlSeconds) || 120;
 }
 
 async function fetchRejectedVendorRefs(supabase, pickupId) {
@@ -136,15 +213,11 @@ async function recordVendorRejection(supabase, pickupId, vendorRef) {
   }
 }
 
-function haversineDistanceKm(lat1, lon1, lat2, lon2) {
-  function toRad(v) { return (v * Math.PI) / 180; }
-  const R = 6371; // km
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+const { haversineDistanceKm } = vendorIndex;
+
+// The index may return more vendors than we will offer: ranking also weighs history, so
+// fetch a few times maxCandidates of the nearest and let scoring pick.
+const NEARBY_PREFETCH_FACTOR = 5;
 
 async function fetchPickup(supabase, pickupId) {
   const { data, error } = await supabase.from('pickups').select('*').eq('id', pickupId).maybeSingle();
@@ -152,22 +225,81 @@ async function fetchPickup(supabase, pickupId) {
   return data;
 }
 
-async function fetchVendors(supabase) {
-  // Expected vendor_backends table (customer DB):
-  // vendor_id, latitude, longitude, offer_url, is_available, updated_at
-  // (Older variants may use active/vendor_ref/last_latitude/last_longitude)
-  console.log('[DISPATCH] vendor_backends_query start');
-
+async function queryAvailableVendors(supabase, narrow) {
+  // `narrow(query)` adds the spatial filter; is_available falls back to the legacy `active` column.
   let data;
   let error;
 
   // Prefer current schema
-  ({ data, error } = await supabase.from('vendor_backends').select('*').eq('is_available', true));
+  ({ data, error } = await narrow(supabase.from('vendor_backends').select('*').eq('is_available', true)));
 
   // Back-compat for older schema that uses `active`
   if (error && /column .*is_available.*does not exist/i.test(error.message || '')) {
     console.warn('[DISPATCH] vendor_backends_query falling back to active=true (is_available column missing)');
-    ({ data, error } = await supabase.from('vendor_backends').select('*').eq('active', true));
+    ({ data, error } = await narrow(supabase.from('vendor_backends').select('*').eq('active', true)));
+  }
+
+  return { data, error };
+}
+
+async function fetchVendors(supabase, near = null) {
+  // Expected vendor_backends table (customer DB):
+  // vendor_id, latitude, longitude, offer_url, is_available, updated_at
+  // (Older variants may use active/vendor_ref/last_latitude/last_longitude)
+  //
+  // near = { latitude, longitude, radiusKm, limit }: only vendors around the pickup are loaded,
+  // from the in-process index (services/vendorIndex.js) or, while it is cold, a bounding box.
+  let source = 'scan';
+  let data;
+  let error;
+
+  // Skip vendors whose heartbeat is older than the staleness window (the presence
+  // sweeper flips them to unavailable, but it runs on an interval).
+  const now = Date.now();
+  let stale = 0;
+  const usable = (rows) =>
+    (rows || []).filter((v) => {
+      if (!isVendorAvailable(v)) return false;
+      if (vendorPresence.isVendorFresh(v, now)) return true;
+      stale += 1;
+      return false;
+    });
+
+  let list;
+  if (near && vendorIndex.isWarm()) {
+    // The index holds positions only, so offline or stale vendors nearby would use up the limit:
+    // widen the nearest-k search until `limit` usable vendors are found or the radius is exhausted.
+    source = 'index';
+    list = [];
+    const distanceOf = new Map();
+    for (let k = near.limit; ; k *= 2) {
+      const found = vendorIndex.nearest(near.latitude, near.longitude, k, near.radiusKm);
+      const refs = found.filter((n) => !distanceOf.has(n.vendorRef)).map((n) => n.vendorRef);
+      for (const n of found) distanceOf.set(n.vendorRef, n.distanceKm);
+      if (refs.length) {
+        ({ data, error } = await queryAvailableVendors(supabase, (q) => q.in('vendor_id', refs)));
+        if (error && /column .*vendor_id.*does not exist/i.test(error.message || '')) {
+          ({ data, error } = await queryAvailableVendors(supabase, (q) => q.in('vendor_ref', refs)));
+        }
+        if (error) break;
+        list.push(...usable(data));
+      }
+      if (list.length >= near.limit || found.length < k) break;
+    }
+    list = list
+      .sort((a, b) => distanceOf.get(String(vendorIdOf(a))) - distanceOf.get(String(vendorIdOf(b))))
+      .slice(0, near.limit);
+  } else if (near) {
+    source = 'bbox';
+    const box = vendorIndex.boundingBox(near.latitude, near.longitude, near.radiusKm);
+    const inBox = (latCol, lonCol) => (q) =>
+      q.gte(latCol, box.minLat).lte(latCol, box.maxLat).gte(lonCol, box.minLon).lte(lonCol, box.maxLon);
+    ({ data, error } = await queryAvailableVendors(supabase, inBox('latitude', 'longitude')));
+    if (error && /column .*latitude.*does not exist/i.test(error.message || '')) {
+      ({ data, error } = await queryAvailableVendors(supabase, inBox('last_latitude', 'last_longitude')));
+    }
+  } else {
+    ({ data, error } = await queryAvailableVendors(supabase, (q) => q));
   }
 
   if (error) {
@@ -175,30 +307,73 @@ async function fetchVendors(supabase) {
     return [];
   }
 
-  const list = (data || []).filter((v) => isVendorAvailable(v));
-  console.log(`[DISPATCH] vendor_backends_query ok count=${list.length}`);
+  if (!list) list = usable(data);
+  console.log(
+    `[DISPATCH] vendor_backends_query ok source=${source} count=${list.length} stale_skipped=${stale} staleAfterSec=${vendorPresence.staleAfterSeconds()}`
+  );
   return list;
 }
 
-async function sendOfferToVendor(supabase, vendor, pickup) {
+function resolveVendorUrl(vendor, pickupId) {
   const url = offerUrlOf(vendor);
   const vendorId = vendorIdOf(vendor);
 
   const urlCheck = validateOfferUrl(url);
   if (!urlCheck.ok) {
-  // Allow localhost during local development
-  if (process.env.NODE_ENV !== 'production' && String(url).includes('localhost')) {
-    console.warn(
-      `[DISPATCH] offer_url_localhost_allowed pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${String(url)}`
-    );
-  } else {
-    console.warn(
-      `[DISPATCH] offer_url_invalid pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${String(url)} reason=${urlCheck.reason}`
-    );
-    throw new Error(`Invalid offer_url for vendor ${vendorId}: ${urlCheck.reason}`);
+    // Allow localhost during local development
+    if (process.env.NODE_ENV !== 'production' && String(url).includes('localhost')) {
+      console.warn(
+        `[DISPATCH] offer_url_localhost_allowed pickupId=${pickupId} vendor_id=${vendorId} offer_url=${String(url)}`
+      );
+    } else {
+      console.warn(
+        `[DISPATCH] offer_url_invalid pickupId=${pickupId} vendor_id=${vendorId} offer_url=${String(url)} reason=${urlCheck.reason}`
+      );
+      throw new Error(`Invalid offer_url for vendor ${vendorId}: ${urlCheck.reason}`);
+    }
   }
+
+  return url;
 }
 
+function redispatchDelaySecondsOf(policy, attempts) {
+  // Wait before automatic retry number attempts + 1, or null once the retries are used up.
+  const schedule = policy?.redispatchBackoffSeconds || [];
+  const max = Number(policy?.redispatchMaxAttempts) || 0;
+  if (!schedule.length || attempts >= max) return null;
+  return schedule[Math.min(attempts, schedule.length - 1)];
+}
+
+async function markNoVendorAvailable(supabase, pickupId, { reason, detail = {} }) {
+  // Park a searching pickup as NO_VENDOR_AVAILABLE and schedule its next automatic retry
+  // (picked up by redispatchDueOnce, or sooner by redispatchNearVendor).
+  const policy = await dispatchPolicy.loadDispatchPolicy(supabase);
+  const { data: current } = await supabase.from('pickups').select('redispatch_attempts').eq('id', pickupId).maybeSingle();
+  const attempts = Number(current?.redispatch_attempts) || 0;
+  const delay = redispatchDelaySecondsOf(policy, attempts);
+  const nextRetryAt = delay ? plusSecondsIso(delay) : null;
+
+  let parked;
+  try {
+    parked = await pickupStateMachine.transition(supabase, pickupId, 'no_vendor', {
+      actor: pickupEvents.ACTOR_SYSTEM,
+      patch: { next_redispatch_at: nextRetryAt },
+      event: { reason, detail: { ...detail, redispatch_attempts: attempts, next_retry_at: nextRetryAt } },
+    });
+  } catch (error) {
+    console.warn(`[DISPATCH] no_vendor_update_failed pickupId=${pickupId} error=${error.message || error}`);
+    return;
+  }
+  if (parked.error) return;
+
+  console.log(
+    `[DISPATCH] status_change pickupId=${pickupId} status=${STATES.NO_VENDOR_AVAILABLE} reason=${reason} retries=${attempts} nextRetryAt=${nextRetryAt || 'none'}`
+  );
+}
+
+async function sendOfferToVendor(supabase, vendor, pickup, { beforeRetry } = {}) {
+  const vendorId = vendorIdOf(vendor);
+  const url = resolveVendorUrl(vendor, pickup.id);
 
   console.log(`[DISPATCH] offer_url_used pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url}`);
 
@@ -220,6 +395,7 @@ async function sendOfferToVendor(supabase, vendor, pickup) {
     latitude: Number.isFinite(latitude) ? latitude : null,
     longitude: Number.isFinite(longitude) ? longitude : null,
 
+    ...(pickup.assignment_expires_at ? { expires_at: pickup.assignment_expires_at } : {}),
     ...(scrapSummary ? { scrap_summary: scrapSummary } : {}),
   };
 
@@ -227,42 +403,108 @@ async function sendOfferToVendor(supabase, vendor, pickup) {
     `[DISPATCH] offer_payload pickupId=${pickup.id} vendor_id=${vendorId} request_id=${requestId} lat=${body.latitude} lon=${body.longitude} scrap=${scrapSummary ? 'yes' : 'no'}`
   );
 
-  const headers = { 'content-type': 'application/json' };
-  if (process.env.VENDOR_API_TOKEN) headers['authorization'] = `Bearer ${process.env.VENDOR_API_TOKEN}`;
+  const { attempts } = await offerDelivery.deliverToVendor({ supabase, url, vendorId, pickupId: pickup.id, body, beforeRetry });
 
-  const payload = JSON.stringify(body);
-  console.log(`[DISPATCH] http_request_sent pickupId=${pickup.id} vendor_id=${vendorId} method=POST timeoutMs=10000 bytes=${Buffer.byteLength(payload)} url=${url}`);
+  console.log(`[DISPATCH] offer_sent pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url} attempts=${attempts}`);
+  return true;
+}
 
-  const started = Date.now();
-  let resp;
+async function restartOfferWindow(supabase, pickupId, job, vendorRef) {
+  // The offer window runs from delivery, not from the first attempt (retries can take a while).
+  // vendorRef: the sequential offer's vendor, or null for a broadcast window.
+  // -> the new deadline, or null when the offer was answered or closed meanwhile.
+  const expiresAt = plusSecondsIso(offerTtlSecondsOf(job));
+  let query = supabase
+    .from('pickups')
+    .update({ assignment_expires_at: expiresAt })
+    .eq('id', pickupId)
+    .eq('status', STATES.FINDING_VENDOR)
+    .not('assignment_expires_at', 'is', null);
+  query = vendorRef ? query.eq('assigned_vendor_ref', vendorRef) : query.is('assigned_vendor_ref', null);
+  const { data, error } = await query.select('id').maybeSingle();
+  if (error) {
+    console.warn(`[DISPATCH] offer_window_restart_failed pickupId=${pickupId} error=${error.message || error}`);
+    return null;
+  }
+  return data ? expiresAt : null;
+}
+
+async function sendVendorNotice(vendor, pickupId, reason, type = 'offer_withdrawn') {
+  // Tell a vendor an offer or assignment is gone (recorded and retried, services/vendorNotifications.js).
+  // type: offer_withdrawn (broadcast loser / pickup edited), offer_cancelled, assignment_cancelled,
+  // assignment_withdrawn.
+  const vendorId = vendorIdOf(vendor);
+  let url;
   try {
-    resp = await fetch(url, { method: 'POST', headers, body: payload, timeout: 10000 });
+    url = resolveVendorUrl(vendor, pickupId);
   } catch (e) {
-    const elapsedMs = Date.now() - started;
-    console.warn(
-      `[DISPATCH] http_error pickupId=${pickup.id} vendor_id=${vendorId} elapsedMs=${elapsedMs} error=${e?.message || String(e)}`
-    );
-    throw e;
+    console.warn(`[DISPATCH] ${type}_failed pickupId=${pickupId} vendor_id=${vendorId} error=${e?.message || String(e)}`);
+    return;
   }
+  const status = await vendorNotifications.notifyVendor(createServiceClient(), { pickupId, vendorRef: vendorId, url, type, reason });
+  console.log(`[DISPATCH] ${type}_sent pickupId=${pickupId} vendor_id=${vendorId} reason=${reason} status=${status}`);
+}
 
-  const elapsedMs = Date.now() - started;
-  console.log(`[DISPATCH] http_response pickupId=${pickup.id} vendor_id=${vendorId} status=${resp.status} ok=${resp.ok} elapsedMs=${elapsedMs}`);
+function recordSkippedRejected(supabase, pickupId, attempts, index, vendorId) {
+  console.log(`[DISPATCH] vendor_skipped_rejected pickupId=${pickupId} vendor_id=${vendorId}`);
+  pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_skipped', { vendorRef: vendorId, reason: 'previously_rejected' });
+  attempts.push({ index, vendor_ref: vendorId, outcome: 'skipped_rejected', at: nowIso() });
+}
 
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => '');
-    const snippet = String(txt || '').slice(0, 800);
-    console.warn(`[DISPATCH] http_failure pickupId=${pickup.id} vendor_id=${vendorId} status=${resp.status} body=${snippet}`);
-    throw new Error(`Vendor responded ${resp.status}: ${snippet}`);
-  }
+function markSkippedUnsigned(supabase, pickupId, attempt) {
+  // We hold no signing secret for the vendor (migration 010): our gap, so not a failed delivery.
+  console.warn(`[DISPATCH] vendor_skipped_unsigned pickupId=${pickupId} vendor_id=${attempt.vendor_ref}`);
+  pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_skipped', { vendorRef: attempt.vendor_ref, reason: 'no_signing_secret' });
+  attempt.outcome = 'skipped_unsigned';
+}
 
-  console.log(`[DISPATCH] offer_sent pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url}`);
-  return true;
+function candidateSnapshot(vendor, distanceKm, ringKm, scored) {
+  // Persisted in dispatch_jobs.candidates so a resumed job offers exactly the same vendors.
+  const lat = Number(vendor.last_latitude ?? vendor.latitude ?? vendor.lat);
+  const lon = Number(vendor.last_longitude ?? vendor.longitude ?? vendor.lon ?? vendor.lng);
+  return {
+    vendor_ref: String(vendorIdOf(vendor)),
+    offer_url: vendor.offer_url || vendor.endpoint || vendor.endpoint_offer_url || null,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lon) ? lon : null,
+    distance_km: Number.isFinite(distanceKm) && distanceKm !== Number.MAX_SAFE_INTEGER ? distanceKm : null,
+    ring_km: ringKm ?? null,
+    score: scored ? scored.score : null,
+    // Kept for debugging (GET /api/admin/dispatch/:pickupId)
+    score_breakdown: scored ? scored.breakdown : null,
+  };
+}
+
+function clearLocalTimer(pickupId) {
+  const local = dispatchState.get(pickupId);
+  if (local && local.timer) clearTimeout(local.timer);
+  dispatchState.delete(pickupId);
+}
+
+function scheduleLocalTimer(pickupId, vendor, expiresAt) {
+  // Fast path only: the sweeper claims overdue jobs from dispatch_jobs if this process dies.
+  clearLocalTimer(pickupId);
+  const delayMs = Math.max(0, new Date(expiresAt).getTime() - Date.now()) + 1000;
+  const timer = setTimeout(() => {
+    dispatchState.delete(pickupId);
+    handleOfferTimeout(pickupId, vendor);
+  }, delayMs);
+  dispatchState.set(pickupId, { pickupId, vendorRef: vendorIdOf(vendor), expiresAt, timer });
+}
+
+function lastAttemptFor(job, index) {
+  const attempts = job.attempts || [];
+  for (let i = attempts.length - 1; i >= 0; i -= 1) {
+    if (attempts[i].index === index) return attempts[i];
+  }
+  return null;
 }
 
 async function dispatchPickup(pickupId, options = {}) {
   const supabase = createServiceClient();
 
-  console.log(`[DISPATCH] dispatch_start pickupId=${pickupId}`);
+  const policy = await dispatchPolicy.loadDispatchPolicy(supabase);
+  console.log(`[DISPATCH] dispatch_start pickupId=${pickupId} ${dispatchPolicy.describePolicy(policy)}`);
 
   // Load pickup
   const pickup = await fetchPickup(supabase, pickupId);
@@ -277,86 +519,163 @@ async function dispatchPickup(pickupId, options = {}) {
     return;
   }
 
+  // Window already over: nobody can be sent any more.
+  if (pickup.window_end && new Date(pickup.window_end) <= new Date()) {
+    await expirePickup(supabase, pickupId, 'window_ended');
+    return;
+  }
+
+  // Scheduled pickups are held until the lead time before their window (see releaseScheduledOnce).
+  if (pickup.status === STATES.SCHEDULED) {
+    const dispatchAt = dispatchAtOf(pickup.window_start, policy);
+    if (dispatchAt && dispatchAt > new Date()) {
+      console.log(
+        `[DISPATCH] dispatch_held_scheduled pickupId=${pickupId} windowStart=${pickup.window_start} dispatchAt=${dispatchAt.toISOString()}`
+      );
+      return;
+    }
+  }
+
   // If an active (unexpired) offer is already out, avoid restarting dispatch.
+  // (Broadcast windows have an expiry but no single assigned_vendor_ref.)
   if (
-    pickup.status === statusFindingVendor() &&
-    pickup.assigned_vendor_ref &&
+    pickup.status === STATES.FINDING_VENDOR &&
     pickup.assignment_expires_at &&
     new Date(pickup.assignment_expires_at) > new Date()
   ) {
     console.log(
-      `[DISPATCH] dispatch_ignored_active_offer pickupId=${pickupId} vendor_ref=${pickup.assigned_vendor_ref} expiresAt=${pickup.assignment_expires_at}`
+      `[DISPATCH] dispatch_ignored_active_offer pickupId=${pickupId} vendor_ref=${pickup.assigned_vendor_ref || 'broadcast'} expiresAt=${pickup.assignment_expires_at}`
     );
     return;
   }
 
   // Set status to FINDING_VENDOR (but never clobber terminal states)
-  await supabase
-    .from('pickups')
-    .update({ status: statusFindingVendor() })
-    .eq('id', pickupId)
-    .in('status', ['REQUESTED', statusNoVendorAvailable(), statusFindingVendor()]);
-  console.log(`[DISPATCH] status_change pickupId=${pickupId} status=${statusFindingVendor()}`);
-
-  const vendors = await fetchVendors(supabase);
-  if (!vendors || vendors.length === 0) {
-    console.log(`[DISPATCH] no_vendors_available pickupId=${pickupId}`);
-    await supabase.from('pickups').update({ status: statusNoVendorAvailable() }).eq('id', pickupId);
+  const searching = await pickupStateMachine.transition(supabase, pickupId, 'search', { actor: pickupEvents.ACTOR_SYSTEM });
+  if (searching.error) {
+    console.log(`[DISPATCH] dispatch_ignored_status pickupId=${pickupId} status=${searching.currentStatus || 'unknown'}`);
     return;
   }
-
-  console.log(`[DISPATCH] vendors_loaded pickupId=${pickupId} count=${vendors.length}`);
+  console.log(`[DISPATCH] status_change pickupId=${pickupId} status=${STATES.FINDING_VENDOR}`);
 
   const skipRefs = new Set((options.skipVendorRefs || []).map((x) => String(x)));
   const persistedRejected = await fetchRejectedVendorRefs(supabase, pickupId);
   for (const ref of persistedRejected) skipRefs.add(String(ref));
 
-  // Compute distances
   const px = Number(pickup.latitude) || Number(pickup.lat) || null;
   const py = Number(pickup.longitude) || Number(pickup.lon) || Number(pickup.lng) || null;
+  const near =
+    px != null && py != null
+      ? {
+          latitude: px,
+          longitude: py,
+          radiusKm: policy.maxRadiusKm,
+          limit: policy.maxCandidates * NEARBY_PREFETCH_FACTOR + skipRefs.size,
+        }
+      : null;
 
-  const ranked = vendors
-    .map((v) => {
-      const vx = Number(v.last_latitude || v.latitude || v.lat || 0);
-      const vy = Number(v.last_longitude || v.longitude || v.lon || v.lng || 0);
-      const dist = px != null && py != null ? haversineDistanceKm(px, py, vx, vy) : Number.MAX_SAFE_INTEGER;
-      return { vendor: v, distanceKm: dist };
-    })
-    .sort((a, b) => a.distanceKm - b.distanceKm);
-
-  const candidates = ranked
-    .map((r) => r.vendor)
-    .filter((v) => {
-      const ref = vendorIdOf(v);
-      if (!ref) return true;
-      return !skipRefs.has(String(ref));
-    });
+  const vendors = await fetchVendors(supabase, near);
+  if (!vendors || vendors.length === 0) {
+    console.log(`[DISPATCH] no_vendors_available pickupId=${pickupId}`);
+    await markNoVendorAvailable(supabase, pickupId, { reason: 'no_vendors_online' });
+    return;
+  }
+
+  console.log(`[DISPATCH] vendors_loaded pickupId=${pickupId} count=${vendors.length}`);
+
+  // What the pickup needs (scrap types + load), matched against vendor capabilities.
+  let requirements = null;
+  try {
+    requirements = await vendorCapabilities.fetchPickupRequirements(supabase, pickupId);
+  } catch (e) {
+    console.warn(`[DISPATCH] pickup_items_query_failed pickupId=${pickupId} error=${e?.message || e}; capability matching skipped`);
+  }
+
+  const hasPickupLocation = px != null && py != null;
+  if (!hasPickupLocation) {
+    // Without coordinates there are no rings; keep the old "everyone, capped" behaviour.
+    console.warn(`[DISPATCH] pickup_location_missing pickupId=${pickupId} policy=${dispatchPolicy.policyLabel(policy)} rings=skipped`);
+  }
+
+  // Select -> rank via the strategy for this deployment / service zone (services/dispatchStrategy.js).
+  const { strategy, zone } = dispatchStrategy.resolveStrategy(policy, pickup);
+  const { eligible, exclusions, outsideRadius } = strategy.selectCandidates({
+    pickup,
+    vendors,
+    policy,
+    requirements,
+    skipRefs,
+    isCircuitOpen: offerDelivery.isVendorCircuitOpen,
+  });
+  for (const x of exclusions) {
+    if (x.reason === 'previously_rejected') continue;
+    console.log(
+      `[DISPATCH] vendor_excluded pickupId=${pickupId} vendor_id=${x.vendor_ref} reason=${x.reason}${x.detail ? ` detail=${JSON.stringify(x.detail)}` : ''}`
+    );
+  }
+
+  const signals = await vendorScoring.fetchVendorSignals(
+    supabase,
+    eligible.map((r) => vendorIdOf(r.vendor))
+  );
+  const candidates = strategy
+    .rankCandidates({ eligible, policy, signals, hasPickupLocation, now: Date.now() })
+    .map((r) => candidateSnapshot(r.vendor, r.distanceKm, r.ringKm, r.scored));
 
   console.log(
-    `[DISPATCH] candidates_ranked pickupId=${pickupId} count=${candidates.length} top=${candidates
+    `[DISPATCH] candidates_ranked pickupId=${pickupId} policy=${dispatchPolicy.policyLabel(policy)} strategy=${strategy.name}${zone ? ` zone=${zone}` : ''} count=${candidates.length} outsideRadius=${outsideRadius} excluded=${exclusions.length} maxCandidates=${policy.maxCandidates} top=${candidates
       .slice(0, 3)
-      .map((v) => `${vendorIdOf(v)}@${offerUrlOf(v) || 'no_url'}`)
+      .map((c) => `${c.vendor_ref}@${offerUrlOf(c) || 'no_url'}(score=${c.score})`)
       .join(',')}`
   );
 
-  // Save dispatch state
-  if (dispatchState.has(pickupId)) {
-    // clear previous timers
-    const prev = dispatchState.get(pickupId);
-    if (prev.timer) clearTimeout(prev.timer);
-  }
-
-  const state = { pickupId, candidates, index: 0, timer: null, rejectedVendorRefs: new Set() };
-  dispatchState.set(pickupId, state);
+  // Persist the dispatch job (replaces any previous job) and keep the lease for the first offer.
+  clearLocalTimer(pickupId);
+  const job = await dispatchQueue.startJob(supabase, pickupId, candidates, {
+    mode: policy.mode,
+    batchSize: policy.mode === dispatchQueue.MODE_BROADCAST ? policy.broadcastSize : 1,
+    policy: { ...policy, strategy: strategy.name, zone },
+    exclusions,
+  });
+  console.log(
+    `[DISPATCH] job_started pickupId=${pickupId} policy=${dispatchPolicy.policyLabel(policy)} mode=${job.mode} worker=${dispatchQueue.WORKER_ID}`
+  );
+  pickupEvents.recordPickupEvent(supabase, pickupId, 'dispatch_started', {
+    detail: {
+      policy: dispatchPolicy.policyLabel(policy),
+      strategy: strategy.name,
+      zone,
+      mode: job.mode,
+      candidates: candidates.map((c) => c.vendor_ref),
+      outside_radius: outsideRadius,
+      exclusions,
+    },
+  });
 
   // try first candidate
-  await tryOfferNext(pickupId);
+  await tryOfferNext(pickupId, job);
 }
 
-async function tryOfferNext(pickupId) {
+async function tryOfferNext(pickupId, claimedJob) {
   const supabase = createServiceClient();
-  const state = dispatchState.get(pickupId);
-  if (!state) return;
+
+  const job = claimedJob || (await dispatchQueue.claimJob(supabase, pickupId));
+  if (!job) {
+    console.log(`[DISPATCH] job_not_claimed pickupId=${pickupId}`);
+    return;
+  }
+
+  if (job.mode === dispatchQueue.MODE_BROADCAST) {
+    await offerNextBatch(pickupId, job);
+    return;
+  }
+
+  const candidates = Array.isArray(job.candidates) ? job.candidates : [];
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  let index = Number(job.current_index) || 0;
+  const policyTag = dispatchPolicy.policyLabel(job.policy);
+  const strategy = dispatchStrategy.getStrategy(job.policy?.strategy);
+
+  const rejectedVendorRefs = await fetchRejectedVendorRefs(supabase, pickupId);
 
   async function clearExpiredOfferIfAny() {
     const now = nowIso();
@@ -364,40 +683,64 @@ async function tryOfferNext(pickupId) {
       .from('pickups')
       .update({ assigned_vendor_ref: null, assignment_expires_at: null })
       .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
+      .eq('status', STATES.FINDING_VENDOR)
       .not('assignment_expires_at', 'is', null)
       .lt('assignment_expires_at', now);
   }
 
-  while (state.index < state.candidates.length) {
-    const vendor = state.candidates[state.index];
-    const vendorId = vendorIdOf(vendor);
-    if (state.rejectedVendorRefs && state.rejectedVendorRefs.has(String(vendorId))) {
-      console.log(`[DISPATCH] vendor_skipped_rejected pickupId=${pickupId} vendor_id=${vendorId}`);
-      state.index += 1;
+  async function persist(patch) {
+    const saved = await dispatchQueue.saveProgress(supabase, job, { attempts, current_index: index, ...patch });
+    if (!saved) console.warn(`[DISPATCH] job_lease_lost pickupId=${pickupId} index=${index}`);
+    return saved;
+  }
+
+  while (index < candidates.length) {
+    const step = strategy.nextOffer({
+      candidates,
+      fromIndex: index,
+      batchSize: 1,
+      isRejected: (ref) => rejectedVendorRefs.has(String(ref)),
+    });
+    for (const skipped of step.skipped) {
+      recordSkippedRejected(supabase, pickupId, attempts, skipped, vendorIdOf(candidates[skipped]));
+    }
+    if (!step.offer.length) {
+      index = step.nextIndex;
+      if (step.skipped.length && !(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
       continue;
     }
+    index = step.offer[0];
+    if (step.skipped.length && !(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
+
+    const vendor = candidates[index];
+    const vendorId = vendorIdOf(vendor);
     const offerUrl = offerUrlOf(vendor);
     console.log(
-      `[DISPATCH] vendor_selected pickupId=${pickupId} index=${state.index + 1}/${state.candidates.length} vendor_id=${vendorId} is_available=${isVendorAvailable(
-        vendor
-      )} offer_url=${offerUrl || ''}`
+      `[DISPATCH] vendor_selected pickupId=${pickupId} policy=${policyTag} index=${index + 1}/${candidates.length} ring_km=${vendor.ring_km ?? ''} vendor_id=${vendorId} offer_url=${offerUrl || ''}`
     );
+
+    // Record the attempt before touching the pickup so a crash resumes at this exact candidate.
+    let attempt = lastAttemptFor({ attempts }, index);
+    if (!attempt || attempt.outcome !== 'sending') {
+      attempt = { index, vendor_ref: vendorId, outcome: 'sending', at: nowIso() };
+      attempts.push(attempt);
+      if (!(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
+    }
+
     try {
       // Ensure we never overwrite an active (unexpired) offer.
       await clearExpiredOfferIfAny();
 
-      // set assigned vendor ref and assignment_expires_at
-      const expiresAt = plusMinutesIso(2);
+      // set assigned vendor ref and assignment_expires_at (the status stays FINDING_VENDOR)
+      let expiresAt = plusSecondsIso(offerTtlSecondsOf(job));
       const { data: offered, error: offerErr } = await supabase
         .from('pickups')
         .update({
           assigned_vendor_ref: vendorId,
           assignment_expires_at: expiresAt,
-          status: statusFindingVendor(),
         })
         .eq('id', pickupId)
-        .eq('status', statusFindingVendor())
+        .eq('status', STATES.FINDING_VENDOR)
         .is('assigned_vendor_ref', null)
         .select('id,status,assigned_vendor_ref,assignment_expires_at')
         .maybeSingle();
@@ -408,83 +751,356 @@ async function tryOfferNext(pickupId) {
         if (!currentPickup) return;
         if (isTerminalStatus(currentPickup.status)) {
           console.log(`[DISPATCH] offer_aborted_terminal pickupId=${pickupId} status=${currentPickup.status}`);
-          if (state.timer) clearTimeout(state.timer);
-          dispatchState.delete(pickupId);
+          clearLocalTimer(pickupId);
+          await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_DONE, { attempts, current_index: index });
           return;
         }
 
-        // Another worker/timer may already have an active offer out.
-        if (
-          currentPickup.status === statusFindingVendor() &&
+        const hasActiveOffer =
+          currentPickup.status === STATES.FINDING_VENDOR &&
           currentPickup.assigned_vendor_ref &&
           currentPickup.assignment_expires_at &&
-          new Date(currentPickup.assignment_expires_at) > new Date()
-        ) {
+          new Date(currentPickup.assignment_expires_at) > new Date();
+
+        if (hasActiveOffer && String(currentPickup.assigned_vendor_ref) === String(vendorId)) {
+          // Resuming after a crash between marking the offer and delivering it: re-send.
+          console.log(`[DISPATCH] offer_resumed pickupId=${pickupId} vendor_id=${vendorId}`);
+          expiresAt = currentPickup.assignment_expires_at;
+        } else if (hasActiveOffer) {
+          // Another worker/timer may already have an active offer out.
           console.log(
             `[DISPATCH] offer_skipped_active_offer pickupId=${pickupId} vendor_ref=${currentPickup.assigned_vendor_ref} expiresAt=${currentPickup.assignment_expires_at}`
           );
+          attempts.pop();
+          await persist({});
+          await dispatchQueue.releaseJob(supabase, job);
           return;
+        } else {
+          // Otherwise, advance and keep trying.
+          attempt.outcome = 'skipped_conflict';
+          index += 1;
+          if (!(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
+          continue;
         }
-
-        // Otherwise, advance and keep trying.
-        state.index += 1;
-        continue;
       }
 
-      console.log(`[DISPATCH] offer_prepared pickupId=${pickupId} vendor_id=${vendorId} expiresAt=${expiresAt}`);
+      console.log(`[DISPATCH] offer_prepared pickupId=${pickupId} policy=${policyTag} vendor_id=${vendorId} expiresAt=${expiresAt}`);
 
-      // send offer
+      // send offer; renew the lease between retries so the sweeper does not reclaim the job mid-delivery
       const pickup = await fetchPickup(supabase, pickupId);
-      await sendOfferToVendor(supabase, vendor, pickup);
+      await sendOfferToVendor(supabase, vendor, pickup, { beforeRetry: async () => Boolean(await persist({})) });
+      expiresAt = (await restartOfferWindow(supabase, pickupId, job, vendorId)) || expiresAt;
+
+      attempt.outcome = 'offered';
+      attempt.expires_at = expiresAt;
+      vendorScoring.recordVendorOutcome(supabase, vendorId, 'sent');
+      offersSentTotal.inc({ mode: dispatchQueue.MODE_SEQUENTIAL });
+      pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_sent', {
+        vendorRef: vendorId,
+        detail: { index, expires_at: expiresAt, ring_km: vendor.ring_km ?? null, score: vendor.score ?? null },
+      });
+      const saved = await persist({ status: dispatchQueue.JOB_WAITING, offer_deadline: expiresAt });
+      if (!saved) return;
+      await dispatchQueue.releaseJob(supabase, job);
 
       // set timer to handle timeout
-      if (state.timer) clearTimeout(state.timer);
-      state.timer = setTimeout(() => {
-        handleOfferTimeout(pickupId, vendor);
-      }, 2 * 60 * 1000 + 1000);
-
-      // store updated state
-      dispatchState.set(pickupId, state);
+      scheduleLocalTimer(pickupId, vendor, expiresAt);
       return;
     } catch (err) {
-      console.warn(
-        `[DISPATCH] offer_failed pickupId=${pickupId} vendor_id=${vendorId} error=${err?.message || String(err)}`
-      );
+      // Lease lost mid-delivery: the new holder resumes this attempt.
+      if (err?.code === 'DELIVERY_ABORTED') return;
+      // Release our offer marker so the next candidate can be offered.
+      await supabase
+        .from('pickups')
+        .update({ assigned_vendor_ref: null, assignment_expires_at: null })
+        .eq('id', pickupId)
+        .eq('status', STATES.FINDING_VENDOR)
+        .eq('assigned_vendor_ref', vendorId);
+
       // move to next
-      state.index += 1;
+      if (err?.code === 'NO_SIGNING_SECRET') {
+        markSkippedUnsigned(supabase, pickupId, attempt);
+      } else {
+        console.warn(
+          `[DISPATCH] offer_failed pickupId=${pickupId} vendor_id=${vendorId} error=${err?.message || String(err)}`
+        );
+        vendorScoring.recordVendorOutcome(supabase, vendorId, 'failed');
+        offerFailuresTotal.inc({ mode: dispatchQueue.MODE_SEQUENTIAL });
+        attempt.outcome = 'failed';
+        attempt.error = String(err?.message || err).slice(0, 300);
+        pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_failed', { vendorRef: vendorId, reason: attempt.error });
+      }
+      index += 1;
+      if (!(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
       continue;
     }
   }
 
   // Exhausted candidates
+  console.log(`[DISPATCH] candidates_exhausted pickupId=${pickupId} policy=${policyTag} attempts=${attempts.length}`);
+  await markNoVendorAvailable(supabase, pickupId, {
+    reason: 'candidates_exhausted',
+    detail: { attempts: attempts.length },
+  });
+  clearLocalTimer(pickupId);
+  await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_EXHAUSTED, { attempts, current_index: index });
+}
+
+async function offerNextBatch(pickupId, job) {
+  // Broadcast mode: open one offer window and send it to the next `batch_size` candidates at once.
+  const supabase = createServiceClient();
+
+  const candidates = Array.isArray(job.candidates) ? job.candidates : [];
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  const batchSize = Math.max(1, Number(job.batch_size) || 1);
+  let index = Number(job.current_index) || 0;
+  const policyTag = dispatchPolicy.policyLabel(job.policy);
+  const strategy = dispatchStrategy.getStrategy(job.policy?.strategy);
+
+  const rejectedVendorRefs = await fetchRejectedVendorRefs(supabase, pickupId);
+
+  async function persist(patch) {
+    const saved = await dispatchQueue.saveProgress(supabase, job, { attempts, current_index: index, ...patch });
+    if (!saved) console.warn(`[DISPATCH] job_lease_lost pickupId=${pickupId} index=${index}`);
+    return saved;
+  }
+
+  let leaseLost = false;
+  async function renewLease() {
+    // Between delivery retries; a lost lease stops the batch and the new holder resumes it.
+    if (!leaseLost && !(await persist({}))) leaseLost = true;
+    return !leaseLost;
+  }
+
+  async function sendBatch(batch, openedExpiresAt) {
+    // -> the offer deadline, or null when every delivery failed (or the lease was lost).
+    const pickup = await fetchPickup(supabase, pickupId);
+    const results = await Promise.allSettled(
+      batch.map((a) => sendOfferToVendor(supabase, candidates[a.index], pickup, { beforeRetry: renewLease }))
+    );
+    if (leaseLost) return null;
+    const delivered = results.some((r) => r.status === 'fulfilled');
+    const expiresAt = delivered ? (await restartOfferWindow(supabase, pickupId, job, null)) || openedExpiresAt : null;
+    results.forEach((r, i) => {
+      if (r.status === 'fulfilled') {
+        batch[i].outcome = 'offered';
+        batch[i].expires_at = expiresAt;
+        vendorScoring.recordVendorOutcome(supabase, batch[i].vendor_ref, 'sent');
+        offersSentTotal.inc({ mode: dispatchQueue.MODE_BROADCAST });
+        pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_sent', {
+          vendorRef: batch[i].vendor_ref,
+          detail: { index: batch[i].index, expires_at: expiresAt, mode: dispatchQueue.MODE_BROADCAST },
+        });
+      } else if (r.reason?.code === 'NO_SIGNING_SECRET') {
+        markSkippedUnsigned(supabase, pickupId, batch[i]);
+      } else {
+        vendorScoring.recordVendorOutcome(supabase, batch[i].vendor_ref, 'failed');
+        offerFailuresTotal.inc({ mode: dispatchQueue.MODE_BROADCAST });
+        console.warn(
+          `[DISPATCH] offer_failed pickupId=${pickupId} vendor_id=${batch[i].vendor_ref} error=${r.reason?.message || String(r.reason)}`
+        );
+        batch[i].outcome = 'failed';
+        batch[i].error = String(r.reason?.message || r.reason).slice(0, 300);
+        pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_failed', { vendorRef: batch[i].vendor_ref, reason: batch[i].error });
+      }
+    });
+    return expiresAt;
+  }
+
+  async function waitForBatch(expiresAt) {
+    const saved = await persist({ status: dispatchQueue.JOB_WAITING, offer_deadline: expiresAt });
+    if (!saved) return;
+    await dispatchQueue.releaseJob(supabase, job);
+    scheduleLocalTimer(pickupId, { vendor_ref: null }, expiresAt);
+  }
+
+  async function closeWindow() {
+    await supabase
+      .from('pickups')
+      .update({ assignment_expires_at: null })
+      .eq('id', pickupId)
+      .eq('status', STATES.FINDING_VENDOR)
+      .is('assigned_vendor_ref', null);
+  }
+
+  // Resume after a crash between opening the window and delivering the batch.
+  const pending = attempts.filter((a) => a.outcome === 'sending');
+  if (pending.length) {
+    const current = await fetchPickup(supabase, pickupId);
+    if (
+      current &&
+      current.status === STATES.FINDING_VENDOR &&
+      !current.assigned_vendor_ref &&
+      current.assignment_expires_at &&
+      new Date(current.assignment_expires_at) > new Date()
+    ) {
+      console.log(`[DISPATCH] batch_resumed pickupId=${pickupId} size=${pending.length}`);
+      const deadline = await sendBatch(pending, current.assignment_expires_at);
+      if (leaseLost) return;
+      if (deadline) {
+        await waitForBatch(deadline);
+        return;
+      }
+      await closeWindow();
+    } else {
+      pending.forEach((a) => { a.outcome = 'skipped_conflict'; });
+    }
+  }
+
+  while (index < candidates.length) {
+    const step = strategy.nextOffer({
+      candidates,
+      fromIndex: index,
+      batchSize,
+      isRejected: (ref) => rejectedVendorRefs.has(String(ref)),
+    });
+    for (const skipped of step.skipped) {
+      recordSkippedRejected(supabase, pickupId, attempts, skipped, vendorIdOf(candidates[skipped]));
+    }
+    const batch = step.offer.map((i) => ({
+      index: i,
+      vendor_ref: vendorIdOf(candidates[i]),
+      outcome: 'sending',
+      at: nowIso(),
+      mode: dispatchQueue.MODE_BROADCAST,
+    }));
+    index = step.nextIndex;
+    if (!batch.length) continue;
+
+    // Open the offer window (ref stays NULL so the first acceptance can claim it).
+    const expiresAt = plusSecondsIso(offerTtlSecondsOf(job));
+    const { data: opened, error: openErr } = await supabase
+      .from('pickups')
+      .update({ assignment_expires_at: expiresAt })
+      .eq('id', pickupId)
+      .eq('status', STATES.FINDING_VENDOR)
+      .is('assigned_vendor_ref', null)
+      .is('assignment_expires_at', null)
+      .select('id')
+      .maybeSingle();
+    if (openErr) throw openErr;
+
+    if (!opened) {
+      const currentPickup = await fetchPickup(supabase, pickupId);
+      if (!currentPickup) return;
+      if (isTerminalStatus(currentPickup.status)) {
+        console.log(`[DISPATCH] offer_aborted_terminal pickupId=${pickupId} status=${currentPickup.status}`);
+        clearLocalTimer(pickupId);
+        await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_DONE);
+        return;
+      }
+      console.log(`[DISPATCH] batch_skipped_active_window pickupId=${pickupId} expiresAt=${currentPickup.assignment_expires_at}`);
+      await dispatchQueue.releaseJob(supabase, job);
+      return;
+    }
+
+    attempts.push(...batch);
+    if (!(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
+
+    console.log(
+      `[DISPATCH] batch_prepared pickupId=${pickupId} policy=${policyTag} ring_km=${candidates[batch[0].index].ring_km ?? ''} size=${batch.length} vendors=${batch.map((a) => a.vendor_ref).join(',')} expiresAt=${expiresAt}`
+    );
+
+    const deadline = await sendBatch(batch, expiresAt);
+    if (leaseLost) return;
+    if (deadline) {
+      await waitForBatch(deadline);
+      return;
+    }
+
+    // Every delivery in the batch failed; close the window and try the next batch.
+    await closeWindow();
+    if (!(await persist({ status: dispatchQueue.JOB_ACTIVE, offer_deadline: null }))) return;
+  }
+
+  // Exhausted candidates
+  console.log(`[DISPATCH] candidates_exhausted pickupId=${pickupId} policy=${policyTag} attempts=${attempts.length}`);
+  await markNoVendorAvailable(supabase, pickupId, {
+    reason: 'candidates_exhausted',
+    detail: { attempts: attempts.length },
+  });
+  clearLocalTimer(pickupId);
+  await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_EXHAUSTED, { attempts, current_index: index });
+}
+
+async function expireBroadcastWindow(pickupId, job) {
+  // Deadline passed with no acceptance: every outstanding offer in the batch timed out.
+  const supabase = createServiceClient();
+  const now = nowIso();
+
   await supabase
     .from('pickups')
-    .update({ status: statusNoVendorAvailable(), assigned_vendor_ref: null, assignment_expires_at: null })
-    .eq('id', pickupId);
-  dispatchState.delete(pickupId);
+    .update({ assignment_expires_at: null })
+    .eq('id', pickupId)
+    .eq('status', STATES.FINDING_VENDOR)
+    .is('assigned_vendor_ref', null)
+    .not('assignment_expires_at', 'is', null)
+    .lt('assignment_expires_at', now);
+
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  for (const a of attempts) {
+    if (a.outcome !== 'offered') continue;
+    console.log(`[DISPATCH] offer_timeout pickupId=${pickupId} policy=${dispatchPolicy.policyLabel(job.policy)} vendor_id=${a.vendor_ref}`);
+    a.outcome = 'timeout';
+    a.timed_out_at = now;
+    vendorScoring.recordVendorOutcome(supabase, a.vendor_ref, 'timed_out');
+    offerTimeoutsTotal.inc({ mode: dispatchQueue.MODE_BROADCAST });
+    pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_timeout', { vendorRef: a.vendor_ref });
+  }
+
+  const saved = await dispatchQueue.saveProgress(supabase, job, {
+    attempts,
+    status: dispatchQueue.JOB_ACTIVE,
+    offer_deadline: null,
+  });
+  if (!saved) return;
+  await offerNextBatch(pickupId, saved);
+}
+
+async function withdrawOutstandingOffers(supabase, pickupId, { winnerRef = null, reason, notice = 'offer_withdrawn' }) {
+  // Close the job and tell every vendor still holding an offer (other than the winner) that it is gone.
+  const job = await dispatchQueue.loadJob(supabase, pickupId);
+  const attempts = Array.isArray(job?.attempts) ? job.attempts : [];
+  const losers = [];
+  for (const a of attempts) {
+    if (a.outcome !== 'offered') continue;
+    if (winnerRef != null && String(a.vendor_ref) === String(winnerRef)) {
+      a.outcome = 'accepted';
+      a.accepted_at = nowIso();
+    } else {
+      a.outcome = 'withdrawn';
+      a.withdrawn_at = nowIso();
+      vendorScoring.recordVendorOutcome(supabase, a.vendor_ref, 'withdrawn');
+      pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_withdrawn', { vendorRef: a.vendor_ref, reason });
+      losers.push(job.candidates[a.index] || { vendor_ref: a.vendor_ref });
+    }
+  }
+  await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_DONE, job ? { attempts } : {});
+
+  for (const vendor of losers) {
+    sendVendorNotice(vendor, pickupId, reason, notice).catch(() => {});
+  }
 }
 
-async function handleOfferTimeout(pickupId, vendor) {
+async function handleOfferTimeout(pickupId, vendor, claimedJob) {
   const supabase = createServiceClient();
   try {
     const { data: pickup } = await supabase.from('pickups').select('*').eq('id', pickupId).maybeSingle();
     if (!pickup) return;
 
-    // If pickup already assigned, do nothing
-    if (pickup.status === statusAssigned()) {
-      dispatchState.delete(pickupId);
+    // If pickup is assigned/cancelled/completed, stop dispatching
+    if (isTerminalStatus(pickup.status)) {
+      clearLocalTimer(pickupId);
+      await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_DONE);
       return;
     }
 
-    // If pickup is cancelled/completed, stop dispatching
-    if (pickup.status === statusCancelled() || pickup.status === statusCompleted()) {
-      dispatchState.delete(pickupId);
+    // If assignment_expires_at is in the future, don't expire yet
+    if (pickup.assignment_expires_at && new Date(pickup.assignment_expires_at) > new Date()) {
+      if (claimedJob) await dispatchQueue.releaseJob(supabase, claimedJob);
       return;
     }
 
-    // If assignment_expires_at is in the future, don't expire yet
-    if (pickup.assignment_expires_at && new Date(pickup.assignment_expires_at) > new Date()) return;
-
     // Clear the expired offer only if it still matches the vendor we offered.
     const offeredVendorRef = vendorIdOf(vendor);
     const now = nowIso();
@@ -492,26 +1108,53 @@ async function handleOfferTimeout(pickupId, vendor) {
       .from('pickups')
       .update({ assigned_vendor_ref: null, assignment_expires_at: null })
       .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
+      .eq('status', STATES.FINDING_VENDOR)
       .eq('assigned_vendor_ref', offeredVendorRef)
       .not('assignment_expires_at', 'is', null)
       .lt('assignment_expires_at', now);
 
-    // Mark vendor as timed out (no history), move to next
-    const state = dispatchState.get(pickupId);
-    if (state) {
-      state.index += 1;
-      await tryOfferNext(pickupId);
+    const job = claimedJob || (await dispatchQueue.claimJob(supabase, pickupId));
+    if (!job) {
+      // Either another worker holds the job, or this pickup predates dispatch_jobs.
+      const existing = await dispatchQueue.loadJob(supabase, pickupId);
+      if (existing) return;
+
+      if (pickup.assigned_vendor_ref) {
+        await dispatchPickup(pickupId, { skipVendorRefs: [pickup.assigned_vendor_ref] });
+      } else {
+        await dispatchPickup(pickupId);
+      }
       return;
     }
 
-    // If server restarted and we lost in-memory state, restart dispatch while skipping
-    // the vendor that was last offered.
-    if (pickup.assigned_vendor_ref) {
-      await dispatchPickup(pickupId, { skipVendorRefs: [pickup.assigned_vendor_ref] });
-    } else {
-      await dispatchPickup(pickupId);
+    if (job.mode === dispatchQueue.MODE_BROADCAST) {
+      await expireBroadcastWindow(pickupId, job);
+      return;
     }
+
+    // Record the timeout against the outstanding offer and move to the next candidate.
+    const index = Number(job.current_index) || 0;
+    const attempt = lastAttemptFor(job, index);
+    if (job.status === dispatchQueue.JOB_WAITING && attempt && attempt.outcome === 'offered') {
+      console.log(`[DISPATCH] offer_timeout pickupId=${pickupId} policy=${dispatchPolicy.policyLabel(job.policy)} vendor_id=${attempt.vendor_ref}`);
+      attempt.outcome = 'timeout';
+      attempt.timed_out_at = now;
+      vendorScoring.recordVendorOutcome(supabase, attempt.vendor_ref, 'timed_out');
+      offerTimeoutsTotal.inc({ mode: dispatchQueue.MODE_SEQUENTIAL });
+      pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_timeout', { vendorRef: attempt.vendor_ref });
+      const saved = await dispatchQueue.saveProgress(supabase, job, {
+        attempts: job.attempts,
+        current_index: index + 1,
+        status: dispatchQueue.JOB_ACTIVE,
+        offer_deadline: null,
+      });
+      if (!saved) return;
+      await tryOfferNext(pickupId, saved);
+      return;
+    }
+
+    // Stale timer or crashed mid-dispatch: resume where the job stopped.
+    await tryOfferNext(pickupId, job);
   } catch (e) {
     console.error('handleOfferTimeout failed', e);
   }
@@ -524,39 +1167,507 @@ async function confirmVendorAcceptance(pickupId, assignedVendorRef) {
   const now = nowIso();
 
   // Atomic assignment: succeed only if this vendor is currently offered and unexpired.
-  const { data, error } = await supabase
+  const accepted = await pickupStateMachine.transition(supabase, pickupId, 'accept', {
+    actor: pickupEvents.ACTOR_VENDOR,
+    match: { assigned_vendor_ref: assignedVendorRef },
+    where: (q) => q.gte('assignment_expires_at', now),
+    select: 'id,status,assigned_vendor_ref,created_at',
+    event: { vendorRef: assignedVendorRef },
+  });
+  let data = accepted.pickup || null;
+
+  if (!data) {
+    // Broadcast mode: the first vendor of the open batch to accept wins (see migration 005).
+    const job = await dispatchQueue.loadJob(supabase, pickupId).catch(() => null);
+    if (job && job.mode === dispatchQueue.MODE_BROADCAST) {
+      const { data: won, error: wonErr } = await supabase.rpc('accept_broadcast_offer', {
+        p_pickup_id: pickupId,
+        p_vendor_ref: String(assignedVendorRef),
+      });
+      if (wonErr) throw wonErr;
+      data = Array.isArray(won) ? won[0] || null : won || null;
+
+      if (data) {
+        console.log(`[DISPATCH] broadcast_accepted pickupId=${pickupId} vendor_id=${assignedVendorRef}`);
+        vendorScoring.recordVendorOutcome(supabase, assignedVendorRef, 'accepted');
+        observeAssignment(supabase, pickupId, dispatchQueue.MODE_BROADCAST);
+        // The RPC made the FINDING_VENDOR -> ASSIGNED transition in SQL; journal it here.
+        pickupEvents.recordPickupEvent(supabase, pickupId, pickupStateMachine.TRANSITIONS.accept.event, {
+          actor: pickupEvents.ACTOR_VENDOR,
+          vendorRef: assignedVendorRef,
+          status: STATES.ASSIGNED,
+          detail: { mode: dispatchQueue.MODE_BROADCAST },
+        });
+        clearLocalTimer(pickupId);
+        await withdrawOutstandingOffers(supabase, pickupId, {
+          winnerRef: assignedVendorRef,
+          reason: 'accepted_by_another_vendor',
+        });
+        return data;
+      }
+    }
+  }
+
+  if (!data) {
+    // Late accept / mismatched vendor / cancelled / already assigned / another vendor won.
+    return null;
+  }
+
+  vendorScoring.recordVendorOutcome(supabase, assignedVendorRef, 'accepted');
+  observeAssignment(supabase, pickupId, dispatchQueue.MODE_SEQUENTIAL, data.created_at);
+
+  // Clear timer and close the dispatch job
+  clearLocalTimer(pickupId);
+  try {
+    const job = await dispatchQueue.loadJob(supabase, pickupId);
+    const attempts = Array.isArray(job?.attempts) ? job.attempts : [];
+    const attempt = job ? lastAttemptFor(job, Number(job.current_index) || 0) : null;
+    if (attempt && String(attempt.vendor_ref) === String(assignedVendorRef)) {
+      attempt.outcome = 'accepted';
+      attempt.accepted_at = now;
+    }
+    await dispatchQueue.finishJob(supabase, pickupId, dispatchQueue.JOB_DONE, job ? { attempts } : {});
+  } catch (e) {
+    console.warn(`[DISPATCH] job_finish_failed pickupId=${pickupId} error=${e?.message || e}`);
+  }
+
+  return data;
+}
+
+function observeAssignment(supabase, pickupId, mode, createdAt) {
+  // Acceptance counter + time-to-assign histogram; the broadcast RPC does not return created_at.
+  offerAcceptancesTotal.inc({ mode });
+  const observe = (at) => {
+    const ms = at ? Date.now() - new Date(at).getTime() : NaN;
+    if (Number.isFinite(ms)) timeToAssignSeconds.observe({ mode }, Math.max(0, ms / 1000));
+  };
+  if (createdAt) {
+    observe(createdAt);
+    return;
+  }
+  Promise.resolve(supabase.from('pickups').select('created_at').eq('id', pickupId).maybeSingle())
+    .then(({ data }) => observe(data?.created_at))
+    .catch(() => {});
+}
+
+async function handleVendorRejection(pickupId, assignedVendorRef) {
+  const supabase = createServiceClient();
+
+  // Record rejection (best-effort; does not block redispatch)
+  await recordVendorRejection(supabase, pickupId, assignedVendorRef);
+  vendorScoring.recordVendorOutcome(supabase, assignedVendorRef, 'rejected');
+  offerRejectionsTotal.inc();
+  pickupEvents.recordPickupEvent(supabase, pickupId, 'offer_rejected', {
+    actor: pickupEvents.ACTOR_VENDOR,
+    vendorRef: assignedVendorRef,
+  });
+
+  // Atomically clear the assignment only if this vendor is currently offered.
+  const { data: cleared, error } = await supabase
     .from('pickups')
-    .update({ status: statusAssigned(), assigned_vendor_ref: assignedVendorRef, assignment_expires_at: null })
+    .update({ assigned_vendor_ref: null, assignment_expires_at: null })
     .eq('id', pickupId)
+    .eq('status', STATES.FINDING_VENDOR)
     .eq('assigned_vendor_ref', assignedVendorRef)
-    .eq('status', statusFindingVendor())
-    .gte('assignment_expires_at', now)
     .select('id,status,assigned_vendor_ref')
     .maybeSingle();
 
   if (error) throw error;
-  if (!data) {
-    // Late accept / mismatched vendor / cancelled / already assigned.
+  if (!cleared) {
+    // Broadcast mode: the rejecting vendor is one of several outstanding offers.
+    return handleBroadcastRejection(supabase, pickupId, assignedVendorRef);
+  }
+
+  clearLocalTimer(pickupId);
+
+  const job = await dispatchQueue.claimJob(supabase, pickupId);
+  if (!job) {
+    const existing = await dispatchQueue.loadJob(supabase, pickupId);
+    if (existing) {
+      // Another worker holds the lease; it will skip this vendor via pickup_vendor_rejections.
+      return { deferred: true };
+    }
+
+    // Pickup predates dispatch_jobs; start a fresh job skipping this vendor.
+    await dispatchPickup(pickupId, { skipVendorRefs: [assignedVendorRef] });
+    return { restarted: true };
+  }
+
+  const index = Number(job.current_index) || 0;
+  const attempt = lastAttemptFor(job, index);
+  if (!attempt || String(attempt.vendor_ref) !== String(assignedVendorRef || '')) {
+    // The rejecting vendor isn't the current candidate anymore (timeout/advance happened);
+    // still keep it rejected and continue dispatch if needed.
+    await tryOfferNext(pickupId, job);
+    return { advanced: true, outOfOrder: true };
+  }
+
+  attempt.outcome = 'rejected';
+  attempt.rejected_at = nowIso();
+  const saved = await dispatchQueue.saveProgress(supabase, job, {
+    attempts: job.attempts,
+    current_index: index + 1,
+    status: dispatchQueue.JOB_ACTIVE,
+    offer_deadline: null,
+  });
+  if (!saved) return { deferred: true };
+
+  await tryOfferNext(pickupId, saved);
+  return { advanced: true };
+}
+
+async function handleBroadcastRejection(supabase, pickupId, vendorRef) {
+  const job = await dispatchQueue.claimJob(supabase, pickupId);
+  if (!job || job.mode !== dispatchQueue.MODE_BROADCAST) {
+    if (job) await dispatchQueue.releaseJob(supabase, job);
+    // Late reject or mismatched vendor; ignore.
     return null;
   }
 
-  // Clear timer
-  const state = dispatchState.get(pickupId);
-  if (state && state.timer) clearTimeout(state.timer);
-  dispatchState.delete(pickupId);
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  const attempt = attempts.find((a) => a.outcome === 'offered' && String(a.vendor_ref) === String(vendorRef));
+  if (!attempt) {
+    await dispatchQueue.releaseJob(supabase, job);
+    return null;
+  }
+
+  attempt.outcome = 'rejected';
+  attempt.rejected_at = nowIso();
+
+  if (attempts.some((a) => a.outcome === 'offered')) {
+    // Others in the batch may still accept; keep the window open.
+    const saved = await dispatchQueue.saveProgress(supabase, job, { attempts });
+    if (saved) await dispatchQueue.releaseJob(supabase, job);
+    return { recorded: true };
+  }
+
+  // Whole batch rejected: close the window and move on without waiting for the deadline.
+  clearLocalTimer(pickupId);
+  await supabase
+    .from('pickups')
+    .update({ assignment_expires_at: null })
+    .eq('id', pickupId)
+    .eq('status', STATES.FINDING_VENDOR)
+    .is('assigned_vendor_ref', null);
+
+  const saved = await dispatchQueue.saveProgress(supabase, job, {
+    attempts,
+    status: dispatchQueue.JOB_ACTIVE,
+    offer_deadline: null,
+  });
+  if (!saved) return { deferred: true };
+
+  await offerNextBatch(pickupId, saved);
+  return { advanced: true };
+}
 
+async function handleVendorRelease(pickupId, vendorRef, reason) {
+  // The assigned vendor hands the pickup back (e.g. truck broke down): FINDING_VENDOR again,
+  // this vendor excluded, dispatch restarted. -> { pickup } or { error, httpStatus, ... }
+  const supabase = createServiceClient();
+  const columns = 'id,status,assigned_vendor_ref';
+
+  const { data: pickup, error } = await supabase.from('pickups').select(columns).eq('id', pickupId).maybeSingle();
+  if (error) throw error;
+  if (!pickup) return { error: 'pickup not found', httpStatus: 404 };
+  if (String(pickup.assigned_vendor_ref || '') !== String(vendorRef)) {
+    return { error: 'pickup is not assigned to this vendor', httpStatus: 403 };
+  }
+
+  const released = await pickupStateMachine.transition(supabase, pickupId, 'release', {
+    actor: pickupEvents.ACTOR_VENDOR,
+    from: pickup.status,
+    match: { assigned_vendor_ref: String(vendorRef) },
+    select: columns,
+    event: { vendorRef, reason, detail: { previous_status: pickup.status } },
+  });
+  if (released.error) return released;
+
+  console.log(`[DISPATCH] vendor_released pickupId=${pickupId} vendor_id=${vendorRef} previous_status=${pickup.status} reason=${reason}`);
+  await recordVendorRejection(supabase, pickupId, vendorRef);
+  vendorScoring.recordVendorOutcome(supabase, vendorRef, 'released');
+  vendorReleasesTotal.inc();
+
+  clearLocalTimer(pickupId);
+  dispatchPickup(pickupId, { skipVendorRefs: [vendorRef] }).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+  return { pickup: released.pickup };
+}
+
+async function findVendorByRef(supabase, vendorRef) {
+  // vendor_backends row for one vendor (vendor_id, or vendor_ref on older schemas).
+  let { data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_id', String(vendorRef)).maybeSingle();
+  if (error && /column .*vendor_id.*does not exist/i.test(error.message || '')) {
+    ({ data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_ref', String(vendorRef)).maybeSingle());
+  }
+  if (error) throw error;
   return data;
 }
 
+async function withdrawDispatch(pickupId, { assignedVendorRef = null, reason, cancelled = false }) {
+  // The pickup was taken back from vendors: stop timers, close the job, and tell every vendor
+  // holding an offer, and the assigned vendor if any. cancelled=true (customer cancel or retry)
+  // sends offer_cancelled / assignment_cancelled; otherwise (pickup edited) *_withdrawn.
+  const supabase = createServiceClient();
+  clearLocalTimer(pickupId);
+  const job = await dispatchQueue.loadJob(supabase, pickupId).catch(() => null);
+  try {
+    await withdrawOutstandingOffers(supabase, pickupId, { reason, notice: cancelled ? 'offer_cancelled' : 'offer_withdrawn' });
+  } catch (e) {
+    console.warn(`[DISPATCH] job_finish_failed pickupId=${pickupId} error=${e?.message || e}`);
+  }
+  if (assignedVendorRef == null) return;
+
+  const type = cancelled ? 'assignment_cancelled' : 'assignment_withdrawn';
+  console.log(`[DISPATCH] ${type} pickupId=${pickupId} vendor_id=${assignedVendorRef} reason=${reason}`);
+  pickupEvents.recordPickupEvent(supabase, pickupId, type, { vendorRef: assignedVendorRef, reason });
+  let vendor = (job?.candidates || []).find((c) => String(c.vendor_ref) === String(assignedVendorRef)) || null;
+  if (!vendor) {
+    try {
+      vendor = await findVendorByRef(supabase, assignedVendorRef);
+    } catch (e) {
+      console.warn(`[DISPATCH] vendor_lookup_failed pickupId=${pickupId} vendor_id=${assignedVendorRef} error=${e?.message || e}`);
+    }
+  }
+  if (!vendor) {
+    console.warn(`[DISPATCH] ${type}_failed pickupId=${pickupId} vendor_id=${assignedVendorRef} error=vendor not found`);
+    return;
+  }
+  sendVendorNotice(vendor, pickupId, reason, type).catch(() => {});
+}
+
+async function schedulePickup(pickupId, window) {
+  // Stores the time-slot window; pickups whose dispatch time is still ahead are held as SCHEDULED.
+  const supabase = createServiceClient();
+  const policy = await dispatchPolicy.loadDispatchPolicy(supabase);
+  const dispatchAt = dispatchAtOf(window.windowStart, policy);
+  const held = dispatchAt > new Date();
+
+  const windowColumns = { window_start: window.windowStart, window_end: window.windowEnd };
+  if (!held) {
+    const { error } = await supabase.from('pickups').update(windowColumns).eq('id', pickupId).eq('status', STATES.REQUESTED);
+    if (error) throw error;
+    return { held, dispatchAt: dispatchAt.toISOString() };
+  }
+
+  const scheduled = await pickupStateMachine.transition(supabase, pickupId, 'schedule', {
+    actor: pickupEvents.ACTOR_SYSTEM,
+    patch: windowColumns,
+    event: { detail: { window_start: window.windowStart, window_end: window.windowEnd, dispatch_at: dispatchAt.toISOString() } },
+  });
+  if (scheduled.error) {
+    // Moved on meanwhile (e.g. cancelled): nothing is held.
+    console.log(`[DISPATCH] pickup_schedule_skipped pickupId=${pickupId} status=${scheduled.currentStatus || 'unknown'}`);
+    return { held: false, dispatchAt: dispatchAt.toISOString() };
+  }
+  console.log(
+    `[DISPATCH] pickup_scheduled pickupId=${pickupId} windowStart=${window.windowStart} windowEnd=${window.windowEnd} dispatchAt=${dispatchAt.toISOString()}`
+  );
+  return { held, dispatchAt: dispatchAt.toISOString() };
+}
+
+async function expirePickup(supabase, pickupId, reason) {
+  // Window ended without an assignment: park the pickup as EXPIRED (needs attention) and
+  // withdraw whatever offers are still out.
+  const expired = await pickupStateMachine.transition(supabase, pickupId, 'expire', {
+    actor: pickupEvents.ACTOR_SYSTEM,
+    select: 'id,window_end',
+    event: { reason },
+  });
+  if (expired.error) return false;
+
+  clearLocalTimer(pickupId);
+  console.log(`[DISPATCH] pickup_expired pickupId=${pickupId} reason=${reason} windowEnd=${expired.pickup.window_end}`);
+  try {
+    await withdrawOutstandingOffers(supabase, pickupId, { reason: 'window_expired' });
+  } catch (e) {
+    console.warn(`[DISPATCH] job_finish_failed pickupId=${pickupId} error=${e?.message || e}`);
+  }
+  return true;
+}
+
+async function releaseScheduledOnce(supabase) {
+  // Scheduled pickups whose window opens within the lead time start dispatching now.
+  const policy = await dispatchPolicy.loadDispatchPolicy(supabase);
+  const cutoff = new Date(Date.now() + scheduleLeadMsOf(policy)).toISOString();
+
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,window_start')
+    .eq('status', STATES.SCHEDULED)
+    .lte('window_start', cutoff)
+    .limit(50);
+  if (error) {
+    console.warn('Dispatcher scheduled query failed:', error.message || error);
+    return;
+  }
+
+  for (const p of data || []) {
+    try {
+      // Only one instance wins the release.
+      const released = await pickupStateMachine.transition(supabase, p.id, 'schedule_due', { actor: pickupEvents.ACTOR_SYSTEM });
+      if (released.error) continue;
+
+      console.log(`[DISPATCH] scheduled_released pickupId=${p.id} windowStart=${p.window_start}`);
+      await dispatchPickup(p.id);
+    } catch (e) {
+      console.warn('Dispatcher scheduled release failed for pickup', p.id, e?.message || e);
+    }
+  }
+}
+
+async function expireMissedWindowsOnce(supabase) {
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id')
+    .in('status', pickupStateMachine.OPEN_STATES)
+    .not('window_end', 'is', null)
+    .lt('window_end', nowIso())
+    .limit(50);
+  if (error) {
+    console.warn('Dispatcher window expiry query failed:', error.message || error);
+    return;
+  }
+
+  for (const p of data || []) {
+    try {
+      await expirePickup(supabase, p.id, 'window_ended');
+    } catch (e) {
+      console.warn('Dispatcher window expiry failed for pickup', p.id, e?.message || e);
+    }
+  }
+}
+
+async function redispatchPickup(supabase, pickup, trigger, { counted = true } = {}) {
+  // Claim the retry (only one instance wins it), then search again. Scheduled retries count toward
+  // redispatchMaxAttempts; opportunistic ones (counted=false, a vendor came online) keep the count.
+  const attempt = (Number(pickup.redispatch_attempts) || 0) + (counted ? 1 : 0);
+  const { data: claimed, error } = await supabase
+    .from('pickups')
+    .update({ redispatch_attempts: attempt, next_redispatch_at: null })
+    .eq('id', pickup.id)
+    .eq('status', STATES.NO_VENDOR_AVAILABLE)
+    .eq('next_redispatch_at', pickup.next_redispatch_at)
+    .select('id')
+    .maybeSingle();
+  if (error) throw error;
+  if (!claimed) return false;
+
+  console.log(`[DISPATCH] redispatch_started pickupId=${pickup.id} attempt=${attempt} trigger=${trigger} counted=${counted}`);
+  pickupEvents.recordPickupEvent(supabase, pickup.id, 'dispatch_restarted', {
+    reason: trigger,
+    status: STATES.NO_VENDOR_AVAILABLE,
+    detail: { attempt, counted },
+  });
+  await dispatchPickup(pickup.id);
+  return true;
+}
+
+async function redispatchDueOnce(supabase) {
+  // NO_VENDOR_AVAILABLE pickups whose next automatic retry is due.
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,redispatch_attempts,next_redispatch_at')
+    .eq('status', STATES.NO_VENDOR_AVAILABLE)
+    .not('next_redispatch_at', 'is', null)
+    .lte('next_redispatch_at', nowIso())
+    .limit(50);
+  if (error) {
+    console.warn('Dispatcher redispatch query failed:', error.message || error);
+    return;
+  }
+
+  for (const p of data || []) {
+    try {
+      await redispatchPickup(supabase, p, 'retry_backoff');
+    } catch (e) {
+      console.warn('Dispatcher redispatch failed for pickup', p.id, e?.message || e);
+    }
+  }
+}
+
+async function redispatchNearVendor(vendorRef, { latitude, longitude } = {}) {
+  // A new or returning vendor came online: pickups still waiting for an automatic retry
+  // within its reach retry now instead of at their scheduled time. Only call this from signed vendor
+  // endpoints; these retries do not use up the pickup's automatic retry budget.
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (latitude == null || longitude == null || !Number.isFinite(lat) || !Number.isFinite(lon)) return 0;
+
+  const supabase = createServiceClient();
+  const policy = await dispatchPolicy.loadDispatchPolicy(supabase);
+  const box = vendorIndex.boundingBox(lat, lon, policy.maxRadiusKm);
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,latitude,longitude,redispatch_attempts,next_redispatch_at')
+    .eq('status', STATES.NO_VENDOR_AVAILABLE)
+    .not('next_redispatch_at', 'is', null)
+    .gte('latitude', box.minLat)
+    .lte('latitude', box.maxLat)
+    .gte('longitude', box.minLon)
+    .lte('longitude', box.maxLon)
+    .order('next_redispatch_at', { ascending: true })
+    .limit(50);
+  if (error) {
+    console.warn(`[DISPATCH] vendor_online_query_failed vendor_id=${vendorRef} error=${error.message || error}`);
+    return 0;
+  }
+
+  const nearby = (data || []).filter(
+    (p) => haversineDistanceKm(lat, lon, Number(p.latitude), Number(p.longitude)) <= policy.maxRadiusKm
+  );
+  console.log(`[DISPATCH] vendor_online vendor_id=${vendorRef} waiting_pickups=${nearby.length}`);
+
+  let started = 0;
+  for (const p of nearby) {
+    try {
+      if (await redispatchPickup(supabase, p, 'vendor_online', { counted: false })) started += 1;
+    } catch (e) {
+      console.warn('Dispatcher redispatch failed for pickup', p.id, e?.message || e);
+    }
+  }
+  return started;
+}
+
+async function resumeDueJobsOnce(supabase) {
+  // Jobs whose offer deadline passed, or whose worker died mid-dispatch.
+  let jobs;
+  try {
+    jobs = await dispatchQueue.claimDueJobs(supabase, 50);
+  } catch (e) {
+    console.warn('Dispatcher job claim failed:', e?.message || e);
+    return;
+  }
+
+  for (const job of jobs) {
+    try {
+      if (job.status === dispatchQueue.JOB_WAITING) {
+        const current = (job.candidates || [])[Number(job.current_index) || 0] || {};
+        await handleOfferTimeout(job.pickup_id, current, job);
+      } else {
+        console.log(`[DISPATCH] job_resumed pickupId=${job.pickup_id} index=${job.current_index}`);
+        await tryOfferNext(job.pickup_id, job);
+      }
+    } catch (e) {
+      console.warn('Dispatcher job resume failed for pickup', job.pickup_id, e?.message || e);
+    }
+  }
+}
+
 async function sweepExpiredOffersOnce() {
   const supabase = createServiceClient();
   const now = nowIso();
 
+  await expireMissedWindowsOnce(supabase);
+  await releaseScheduledOnce(supabase);
+  await redispatchDueOnce(supabase);
+  await resumeDueJobsOnce(supabase);
+  await vendorNotifications.retryDueNotificationsOnce(supabase);
+
   // Find offers that are still FINDING_VENDOR but already expired.
   const { data, error } = await supabase
     .from('pickups')
     .select('id,assigned_vendor_ref,assignment_expires_at,status')
-    .eq('status', statusFindingVendor())
+    .eq('status', STATES.FINDING_VENDOR)
     .not('assignment_expires_at', 'is', null)
     .lt('assignment_expires_at', now)
     .limit(50);
@@ -568,7 +1679,7 @@ async function sweepExpiredOffersOnce() {
 
   for (const p of data || []) {
     try {
-      // Reuse timeout handler (it will restart dispatch if in-memory state is missing)
+      // Reuse timeout handler (it claims the job, or restarts dispatch for pickups without one)
       await handleOfferTimeout(p.id, { vendor_ref: p.assigned_vendor_ref });
     } catch (e) {
       console.warn('Dispatcher sweeper failed for pickup', p.id, e?.message || e);
@@ -578,63 +1689,36 @@ async function sweepExpiredOffersOnce() {
 
 function startDispatcherSweeper() {
   if (sweeperTimer) return;
+  let running = false;
   sweeperTimer = setInterval(() => {
-    sweepExpiredOffersOnce().catch((e) => console.warn('Dispatcher sweeper error', e?.message || e));
+    // One pass at a time: a slow pass (e.g. vendor deliveries retrying) skips the next tick.
+    if (running) {
+      sweeperRunsTotal.inc({ result: 'skipped' });
+      return;
+    }
+    running = true;
+    const started = Date.now();
+    sweepExpiredOffersOnce()
+      .then(() => sweeperRunsTotal.inc({ result: 'ok' }))
+      .catch((e) => {
+        sweeperRunsTotal.inc({ result: 'error' });
+        console.warn('Dispatcher sweeper error', e?.message || e);
+      })
+      .finally(() => {
+        running = false;
+        sweeperDurationSeconds.observe({}, (Date.now() - started) / 1000);
+      });
   }, 10 * 1000);
 }
 
 module.exports = {
   dispatchPickup,
+  schedulePickup,
+  redispatchNearVendor,
   confirmVendorAcceptance,
-  handleVendorRejection: async function (pickupId, assignedVendorRef) {
-    const supabase = createServiceClient();
-
-    // Record rejection (best-effort; does not block redispatch)
-    await recordVendorRejection(supabase, pickupId, assignedVendorRef);
-
-    // Atomically clear the assignment only if this vendor is currently offered.
-    const { data: cleared, error } = await supabase
-      .from('pickups')
-      .update({ assigned_vendor_ref: null, assignment_expires_at: null, status: statusFindingVendor() })
-      .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
-      .eq('assigned_vendor_ref', assignedVendorRef)
-      .select('id,status,assigned_vendor_ref')
-      .maybeSingle();
-
-    if (error) throw error;
-    if (!cleared) {
-      // Late reject or mismatched vendor; ignore.
-      return null;
-    }
-
-    const state = dispatchState.get(pickupId);
-    if (!state) {
-      // Server likely restarted; rebuild dispatch state and continue, skipping this vendor.
-      await dispatchPickup(pickupId, { skipVendorRefs: [assignedVendorRef] });
-      return { restarted: true };
-    }
-
-    if (state.rejectedVendorRefs) state.rejectedVendorRefs.add(String(assignedVendorRef));
-
-    const current = state.candidates[state.index];
-    const curRef = vendorIdOf(current);
-    if (String(curRef) !== String(assignedVendorRef || '')) {
-      // The rejecting vendor isn't the current candidate anymore (timeout/advance happened);
-      // still keep it rejected and continue dispatch if needed.
-      await tryOfferNext(pickupId);
-      return { advanced: true, outOfOrder: true };
-    }
-
-    state.index += 1;
-    if (state.timer) {
-      clearTimeout(state.timer);
-      state.timer = null;
-    }
-    dispatchState.set(pickupId, state);
-    await tryOfferNext(pickupId);
-    return { advanced: true };
-  },
+  handleVendorRejection,
+  handleVendorRelease,
+  withdrawDispatch,
   tryOfferNext,
   startDispatcherSweeper,
   // exported for tests/debugging
@@ -0,0 +1,112 @@
+const pickupEvents = require('./pickupEvents');
+const pickupStateMachine = require('./pickupStateMachine');
+const settlements = require('./settlements');
+
+const { STATES } = pickupStateMachine;
+
+// Vendor-driven fulfilment after assignment: ASSIGNED -> EN_ROUTE -> ARRIVED -> COMPLETED.
+//
+// Only the vendor the pickup is assigned to can move it, one step at a time. Repeating the
+// step the pickup is already in succeeds without changes, so vendor backends can retry safely.
+// Completion carries the weighed quantity of every pickup item (pickup_items.actual_weight) and
+// creates the pickup's settlement (services/settlements.js).
+
+// Target status -> pickupStateMachine transition (which stamps en_route_at / arrived_at / completed_at).
+const STEPS = {
+  EN_ROUTE: 'en_route',
+  ARRIVED: 'arrive',
+  COMPLETED: 'complete',
+};
+
+const PICKUP_COLUMNS = 'id,status,assigned_vendor_ref,en_route_at,arrived_at,completed_at';
+
+function validateActualWeights(body, pickupItems) {
+  // body.items: [{ item_id, actual_weight }] covering every item of the pickup (kg, >= 0).
+  const list = body?.items;
+  if (!Array.isArray(list) || !list.length) return { error: 'items is required: [{ item_id, actual_weight }]' };
+
+  const known = new Set(pickupItems.map((it) => String(it.id)));
+  const weights = new Map();
+  for (const raw of list) {
+    const id = raw?.item_id ?? raw?.itemId ?? raw?.id;
+    const weight = raw?.actual_weight ?? raw?.actualWeight;
+    if (id == null || !known.has(String(id))) return { error: `item ${id} does not belong to this pickup` };
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `actual_weight for item ${id} must be a number >= 0` };
+    }
+    if (weights.has(String(id))) return { error: `item ${id} is listed twice` };
+    weights.set(String(id), weight);
+  }
+  const missing = pickupItems.filter((it) => !weights.has(String(it.id))).map((it) => it.id);
+  if (missing.length) return { error: `actual_weight missing for items: ${missing.join(', ')}` };
+  return { weights };
+}
+
+async function settleQuietly(supabase, pickupId) {
+  // Completion stands even if settling fails; repeating /complete (or the admin endpoint) retries it.
+  try {
+    return await settlements.createSettlement(supabase, pickupId);
+  } catch (e) {
+    console.warn(`[SETTLEMENT] create_failed pickupId=${pickupId} error=${e?.message || e}`);
+    return null;
+  }
+}
+
+async function advanceFulfilment(supabase, { pickupId, vendorRef, toStatus, body }) {
+  // -> { pickup, unchanged?, settlement? } or { error, httpStatus }
+  const step = STEPS[toStatus];
+  if (!step) return { error: `Unknown fulfilment status ${toStatus}`, httpStatus: 400 };
+
+  const { data: pickup, error } = await supabase
+    .from('pickups')
+    .select(PICKUP_COLUMNS)
+    .eq('id', pickupId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!pickup) return { error: 'pickup not found', httpStatus: 404 };
+  if (String(pickup.assigned_vendor_ref || '') !== String(vendorRef)) {
+    return { error: 'pickup is not assigned to this vendor', httpStatus: 403 };
+  }
+  if (pickup.status === toStatus) {
+    const settlement = toStatus === STATES.COMPLETED ? await settleQuietly(supabase, pickupId) : undefined;
+    return { pickup, unchanged: true, settlement };
+  }
+  if (!pickupStateMachine.canTransition(step, pickup.status)) return pickupStateMachine.refusal(pickup.status, toStatus);
+
+  let totalWeight = null;
+  if (toStatus === STATES.COMPLETED) {
+    const { data: items, error: itemsErr } = await supabase.from('pickup_items').select('id').eq('pickup_id', pickupId);
+    if (itemsErr) throw itemsErr;
+    const checked = validateActualWeights(body, items || []);
+    if (checked.error) return { error: checked.error, httpStatus: 400 };
+
+    // Weights first: the pickup is still ARRIVED, so a failed write can simply be retried.
+    for (const [itemId, weight] of checked.weights) {
+      const { error: wErr } = await supabase
+        .from('pickup_items')
+        .update({ actual_weight: weight })
+        .eq('id', itemId)
+        .eq('pickup_id', pickupId);
+      if (wErr) throw wErr;
+    }
+    totalWeight = [...checked.weights.values()].reduce((a, b) => a + b, 0);
+  }
+
+  const moved = await pickupStateMachine.transition(supabase, pickupId, step, {
+    actor: pickupEvents.ACTOR_VENDOR,
+    from: pickup.status,
+    match: { assigned_vendor_ref: String(vendorRef) },
+    select: PICKUP_COLUMNS,
+    event: { vendorRef, ...(totalWeight != null ? { detail: { total_actual_weight: totalWeight } } : {}) },
+  });
+  if (moved.error) return moved;
+
+  console.log(`[FULFILMENT] status_change pickupId=${pickupId} status=${toStatus} vendor_id=${vendorRef}`);
+  if (toStatus === STATES.COMPLETED) return { pickup: moved.pickup, settlement: await settleQuietly(supabase, pickupId) };
+  return { pickup: moved.pickup };
+}
+
+module.exports = {
+  STEPS,
+  advanceFulfilment,
+};
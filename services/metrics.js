@@ -0,0 +1,159 @@
+// In-process metrics in the Prometheus text exposition format (served by GET /metrics).
+//
+// No client library or push gateway: each backend instance keeps its own counters, histograms
+// and gauges in memory and renders them on scrape. Values reset when the process restarts,
+// which Prometheus handles for counters.
+//
+// Modules declare the metrics they own (e.g. the dispatcher's offer counters) with
+// counter()/histogram()/gauge(); the HTTP request metrics come from httpMetricsMiddleware().
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map(); // name -> metric
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelsText(labelNames, values, extra = '') {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => (labels?.[n] == null ? '' : String(labels[n]))));
+}
+
+function counter({ name, help, labelNames = [] }) {
+  const series = new Map(); // key -> value
+  return register({
+    name,
+    inc(labels = {}, n = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + n);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) lines.push(`${name}${labelsText(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      return lines;
+    },
+  });
+}
+
+function histogram({ name, help, labelNames = [], buckets = HTTP_BUCKETS }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // key -> { counts, sum, count }
+  return register({
+    name,
+    observe(labels = {}, value) {
+      const v = Number(value);
+      if (!Number.isFinite(v)) return;
+      const key = seriesKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      bounds.forEach((b, i) => {
+        if (v <= b) s.counts[i] += 1;
+      });
+      s.sum += v;
+      s.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        bounds.forEach((b, i) => {
+          lines.push(`${name}_bucket${labelsText(labelNames, values, `le="${formatValue(b)}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${labelsText(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${labelsText(labelNames, values)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${labelsText(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+function gauge({ name, help, collect }) {
+  // collect() is called on every scrape and returns the current value.
+  return register({
+    name,
+    render() {
+      let value;
+      try {
+        value = Number(collect());
+      } catch {
+        value = NaN;
+      }
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatValue(value)}`];
+    },
+  });
+}
+
+function render() {
+  const out = [];
+  for (const metric of registry.values()) out.push(...metric.render());
+  return `${out.join('\n')}\n`;
+}
+
+const processStartSeconds = Math.round(Date.now() / 1000);
+gauge({ name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds.', collect: () => processStartSeconds });
+gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes.', collect: () => process.memoryUsage().rss });
+
+const httpRequests = counter({
+  name: 'scrapco_http_requests_total',
+  help: 'HTTP requests handled, by method, route and status code.',
+  labelNames: ['method', 'route', 'status'],
+});
+const httpDuration = histogram({
+  name: 'scrapco_http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method and route.',
+  labelNames: ['method', 'route'],
+});
+
+function routeOf(req) {
+  // Route templates (/api/pickups/:id), never raw paths, so labels stay bounded.
+  if (!req.route) return 'unmatched';
+  const path = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  return `${req.baseUrl || ''}${path}`;
+}
+
+function httpMetricsMiddleware() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeOf(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      // Event streams stay open for minutes; their lifetime is not request latency.
+      if (/^text\/event-stream/i.test(String(res.getHeader('content-type') || ''))) return;
+      httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  histogram,
+  gauge,
+  render,
+  httpMetricsMiddleware,
+};
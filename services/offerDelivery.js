@@ -0,0 +1,284 @@
+const fetch = require('node-fetch');
+const { signOutboundPayload } = require('../vendor/security');
+const metrics = require('./metrics');
+
+// Outbound delivery to vendor backends (offers and other callbacks).
+//
+// - Transient failures (connection reset, connect or request timeout, DNS hiccups, 502/503/504) are retried a few
+//   times with jittered exponential backoff.
+// - A per-vendor circuit breaker (in-process) opens after repeated failed deliveries. While open,
+//   the dispatcher leaves the vendor out of candidate lists; after the cooldown the breaker goes
+//   half-open and the next offer acts as a probe (success closes it, failure re-opens it).
+// - Every request is signed with the vendor's secret from vendor_signing_secrets (migration 010); see
+//   vendor/security.js for the header format. A vendor without a secret gets nothing (NO_SIGNING_SECRET),
+//   except with VENDOR_OFFER_SIGNING=transitional, which sends unsigned while secrets are rolled out.
+
+const TRANSIENT_HTTP_STATUSES = new Set([502, 503, 504]);
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+const BREAKER_CLOSED = 'closed';
+const BREAKER_OPEN = 'open';
+const BREAKER_HALF_OPEN = 'half_open';
+
+const breakers = new Map();
+
+const httpFailuresTotal = metrics.counter({
+  name: 'scrapco_offer_http_failures_total',
+  help: 'Failed HTTP requests to vendor backends (each retry counts), by reason (network or status_<code>).',
+  labelNames: ['reason'],
+});
+
+const SECRET_CACHE_MS = 60 * 1000;
+const secretCache = new Map();
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function deliveryConfig() {
+  return {
+    maxAttempts: envInt('VENDOR_DELIVERY_MAX_ATTEMPTS', 3),
+    baseDelayMs: envInt('VENDOR_DELIVERY_BASE_DELAY_MS', 300),
+    maxDelayMs: envInt('VENDOR_DELIVERY_MAX_DELAY_MS', 3000),
+    timeoutMs: envInt('VENDOR_DELIVERY_TIMEOUT_MS', 10000),
+    breakerThreshold: envInt('VENDOR_BREAKER_FAILURE_THRESHOLD', 3),
+    breakerCooldownMs: envInt('VENDOR_BREAKER_COOLDOWN_SECONDS', 120) * 1000,
+  };
+}
+
+function signingMode() {
+  return String(process.env.VENDOR_OFFER_SIGNING || '').toLowerCase() === 'transitional' ? 'transitional' : 'required';
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelayMs(attempt, config) {
+  // "Full jitter": random delay in [0, min(max, base * 2^(attempt-1))]
+  const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function isTransientError(err) {
+  if (!err) return false;
+  if (err.status) return TRANSIENT_HTTP_STATUSES.has(err.status);
+  if (TRANSIENT_ERROR_CODES.has(err.code) || TRANSIENT_ERROR_CODES.has(err.errno)) return true;
+  // node-fetch v2 reports its own `timeout` as a FetchError without an errno.
+  if (err.type === 'request-timeout') return true;
+  return /socket hang up/i.test(err.message || '');
+}
+
+// -----------------------------
+// Circuit breaker
+// -----------------------------
+
+function breakerOf(vendorRef) {
+  const key = String(vendorRef);
+  let b = breakers.get(key);
+  if (!b) {
+    b = {
+      vendorRef: key,
+      state: BREAKER_CLOSED,
+      consecutiveFailures: 0,
+      trips: 0,
+      openedAt: null,
+      retryAt: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+    };
+    breakers.set(key, b);
+  }
+  return b;
+}
+
+function refreshBreaker(b, now = Date.now()) {
+  if (b.state === BREAKER_OPEN && b.retryAt && now >= new Date(b.retryAt).getTime()) {
+    b.state = BREAKER_HALF_OPEN;
+    console.log(`[DELIVERY] breaker_half_open vendor_id=${b.vendorRef}`);
+  }
+  return b;
+}
+
+function isVendorCircuitOpen(vendorRef) {
+  // True while the vendor must be left out of candidate lists.
+  const b = breakers.get(String(vendorRef));
+  if (!b) return false;
+  return refreshBreaker(b).state === BREAKER_OPEN;
+}
+
+function recordDeliverySuccess(vendorRef) {
+  const b = breakerOf(vendorRef);
+  if (b.state !== BREAKER_CLOSED) console.log(`[DELIVERY] breaker_closed vendor_id=${b.vendorRef}`);
+  b.state = BREAKER_CLOSED;
+  b.consecutiveFailures = 0;
+  b.openedAt = null;
+  b.retryAt = null;
+  b.lastSuccessAt = new Date().toISOString();
+}
+
+function recordDeliveryFailure(vendorRef, err) {
+  const config = deliveryConfig();
+  const b = refreshBreaker(breakerOf(vendorRef));
+  const now = Date.now();
+  b.consecutiveFailures += 1;
+  b.lastError = String(err?.message || err).slice(0, 300);
+  b.lastFailureAt = new Date(now).toISOString();
+
+  // A failed half-open probe re-opens immediately.
+  if (b.state === BREAKER_HALF_OPEN || b.consecutiveFailures >= config.breakerThreshold) {
+    b.state = BREAKER_OPEN;
+    b.trips += 1;
+    b.openedAt = new Date(now).toISOString();
+    b.retryAt = new Date(now + config.breakerCooldownMs).toISOString();
+    console.warn(
+      `[DELIVERY] breaker_open vendor_id=${b.vendorRef} failures=${b.consecutiveFailures} retryAt=${b.retryAt} error=${b.lastError}`
+    );
+  }
+}
+
+function listBreakers() {
+  return [...breakers.values()].map((b) => ({ ...refreshBreaker(b) }));
+}
+
+function resetBreaker(vendorRef) {
+  return breakers.delete(String(vendorRef));
+}
+
+// -----------------------------
+// Signing
+// -----------------------------
+
+async function resolveSigningSecret(supabase, vendorRef) {
+  // -> the vendor's signing secret, or null (not set, or the lookup failed).
+  if (!supabase || !vendorRef) return null;
+
+  const key = String(vendorRef);
+  const hit = secretCache.get(key);
+  if (hit && Date.now() - hit.at < SECRET_CACHE_MS) return hit.secret;
+
+  let secret = null;
+  try {
+    const { data, error } = await supabase.from('vendor_signing_secrets').select('secret').eq('vendor_ref', key).maybeSingle();
+    if (error) {
+      console.warn(`[DELIVERY] signing_secret_lookup_failed vendor_id=${key} error=${error.message || error}`);
+      return null;
+    }
+    secret = data?.secret || null;
+  } catch (e) {
+    console.warn(`[DELIVERY] signing_secret_lookup_failed vendor_id=${key} error=${e?.message || e}`);
+    return null;
+  }
+
+  secretCache.set(key, { secret, at: Date.now() });
+  return secret;
+}
+
+function forgetSigningSecret(vendorRef) {
+  secretCache.delete(String(vendorRef));
+}
+
+// -----------------------------
+// Delivery
+// -----------------------------
+
+async function postOnce(url, vendorId, pickupId, baseHeaders, payload, timeoutMs, secret) {
+  // Fresh timestamp + nonce per attempt so retries are not rejected as replays.
+  const headers = secret ? { ...baseHeaders, ...signOutboundPayload(secret, payload) } : baseHeaders;
+  console.log(`[DISPATCH] http_request_sent pickupId=${pickupId} vendor_id=${vendorId} method=POST timeoutMs=${timeoutMs} bytes=${Buffer.byteLength(payload)} url=${url}`);
+
+  const started = Date.now();
+  let resp;
+  try {
+    resp = await fetch(url, { method: 'POST', headers, body: payload, timeout: timeoutMs });
+  } catch (e) {
+    const elapsedMs = Date.now() - started;
+    console.warn(
+      `[DISPATCH] http_error pickupId=${pickupId} vendor_id=${vendorId} elapsedMs=${elapsedMs} error=${e?.message || String(e)}`
+    );
+    httpFailuresTotal.inc({ reason: 'network' });
+    throw e;
+  }
+
+  const elapsedMs = Date.now() - started;
+  console.log(`[DISPATCH] http_response pickupId=${pickupId} vendor_id=${vendorId} status=${resp.status} ok=${resp.ok} elapsedMs=${elapsedMs}`);
+
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => '');
+    const snippet = String(txt || '').slice(0, 800);
+    console.warn(`[DISPATCH] http_failure pickupId=${pickupId} vendor_id=${vendorId} status=${resp.status} body=${snippet}`);
+    httpFailuresTotal.inc({ reason: `status_${resp.status}` });
+    const err = new Error(`Vendor responded ${resp.status}: ${snippet}`);
+    err.status = resp.status;
+    throw err;
+  }
+
+  return resp;
+}
+
+async function deliverToVendor({ supabase, url, vendorId, pickupId, body, beforeRetry }) {
+  // Returns { attempts } on success; throws the last error (with .attempts) on failure.
+  // beforeRetry (optional, async): runs before each retry; returning false stops with code DELIVERY_ABORTED.
+  const config = deliveryConfig();
+
+  const secret = await resolveSigningSecret(supabase, vendorId);
+  if (!secret) {
+    const mode = signingMode();
+    console.warn(`[DELIVERY] missing_signing_secret pickupId=${pickupId} vendor_id=${vendorId} mode=${mode}`);
+    if (mode !== 'transitional') {
+      // Never send unsigned: the vendor could not tell our offers from forged ones.
+      const err = new Error(`No signing secret for vendor ${vendorId}; provision one via POST /api/admin/vendors/:vendorRef/signing-secret`);
+      err.code = 'NO_SIGNING_SECRET';
+      err.attempts = 0;
+      throw err;
+    }
+  }
+
+  const headers = { 'content-type': 'application/json' };
+  if (process.env.VENDOR_API_TOKEN) headers['authorization'] = `Bearer ${process.env.VENDOR_API_TOKEN}`;
+  const payload = JSON.stringify(body);
+
+  let lastErr = null;
+  let attempt = 0;
+  while (attempt < config.maxAttempts) {
+    attempt += 1;
+    try {
+      await postOnce(url, vendorId, pickupId, headers, payload, config.timeoutMs, secret);
+      recordDeliverySuccess(vendorId);
+      return { attempts: attempt };
+    } catch (e) {
+      lastErr = e;
+      if (attempt >= config.maxAttempts || !isTransientError(e)) break;
+      const delayMs = backoffDelayMs(attempt, config);
+      console.warn(
+        `[DELIVERY] retry pickupId=${pickupId} vendor_id=${vendorId} attempt=${attempt}/${config.maxAttempts} delayMs=${delayMs} error=${e?.message || String(e)}`
+      );
+      await sleep(delayMs);
+      if (beforeRetry && !(await beforeRetry())) {
+        console.warn(`[DELIVERY] retry_aborted pickupId=${pickupId} vendor_id=${vendorId} attempt=${attempt}/${config.maxAttempts}`);
+        const aborted = new Error(`Delivery to vendor ${vendorId} stopped before retry: ${e?.message || String(e)}`);
+        aborted.code = 'DELIVERY_ABORTED';
+        aborted.attempts = attempt;
+        throw aborted;
+      }
+    }
+  }
+
+  recordDeliveryFailure(vendorId, lastErr);
+  if (lastErr && typeof lastErr === 'object') lastErr.attempts = attempt;
+  throw lastErr;
+}
+
+module.exports = {
+  deliverToVendor,
+  resolveSigningSecret,
+  forgetSigningSecret,
+  isTransientError,
+  isVendorCircuitOpen,
+  listBreakers,
+  resetBreaker,
+  // exported for tests/debugging
+  _internal: { breakers, recordDeliverySuccess, recordDeliveryFailure },
+};
@@ -0,0 +1,177 @@
+const dispatcher = require('./dispatcher');
+const pickupEvents = require('./pickupEvents');
+const pickupStateMachine = require('./pickupStateMachine');
+const timeSlots = require('./timeSlots');
+const { validatePickupItems } = require('./quotes');
+
+// Customer edits to an open pickup (PATCH /api/pickups/:id).
+//
+// Which fields may change depends on the status. Once a vendor is assigned the items are fixed
+// (the vendor accepted that load), but the address/location and time slot can still move.
+// Moving the location or the time window takes the pickup back: open offers are withdrawn, the
+// assigned vendor is told, and dispatch starts over (held as SCHEDULED again if the new window is
+// far enough ahead). So do new items while offers are out, since candidates were matched on them.
+// Address text, and items before the search starts, are updated in place.
+//
+// Fields, items and the status change are written together by the edit_pickup RPC
+// (migration 024): an edit is applied whole or not at all.
+
+const { STATES } = pickupStateMachine;
+
+// Keys match the `edit` transition's source states in services/pickupStateMachine.js.
+const EDITABLE_FIELDS = {
+  [STATES.REQUESTED]: ['address', 'location', 'timeSlot', 'items'],
+  [STATES.SCHEDULED]: ['address', 'location', 'timeSlot', 'items'],
+  [STATES.FINDING_VENDOR]: ['address', 'location', 'timeSlot', 'items'],
+  [STATES.NO_VENDOR_AVAILABLE]: ['address', 'location', 'timeSlot', 'items'],
+  [STATES.ASSIGNED]: ['address', 'location', 'timeSlot'],
+};
+
+const PICKUP_COLUMNS = 'id,status,address,latitude,longitude,time_slot,window_start,window_end,assigned_vendor_ref';
+
+function parseChanges(body) {
+  // -> { changes: { address?, location?, slot?, items? } } or { error }
+  const changes = {};
+  if (!body || typeof body !== 'object') return { error: 'Request body is missing.' };
+
+  if (body.address !== undefined) {
+    if (body.address == null || String(body.address).trim() === '') return { error: 'address must not be empty.' };
+    changes.address = String(body.address).trim();
+  }
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    if (typeof body.latitude !== 'number' || typeof body.longitude !== 'number') {
+      return { error: 'latitude and longitude must be sent together as numbers.' };
+    }
+    changes.location = { latitude: body.latitude, longitude: body.longitude };
+  }
+  if (body.timeSlot !== undefined) {
+    const slot = timeSlots.parseTimeSlot(body.timeSlot, { pickupDate: body.pickupDate });
+    if (slot.error) return { error: slot.error };
+    changes.slot = slot;
+  }
+  if (body.items !== undefined) {
+    const itemsError = validatePickupItems(body.items);
+    if (itemsError) return { error: itemsError };
+    changes.items = body.items;
+  }
+  if (!Object.keys(changes).length) {
+    return { error: 'Nothing to update: send address, latitude/longitude, timeSlot or items.' };
+  }
+  return { changes };
+}
+
+function fieldsOf(changes) {
+  return [
+    ...(changes.address ? ['address'] : []),
+    ...(changes.location ? ['location'] : []),
+    ...(changes.slot ? ['timeSlot'] : []),
+    ...(changes.items ? ['items'] : []),
+  ];
+}
+
+async function applyEdit(service, pickupId, { from, fields, items, restart }) {
+  // -> { row } or { error, httpStatus }; the RPC re-checks the status in its own transaction.
+  const { data, error } = await service.rpc('edit_pickup', {
+    p_pickup_id: pickupId,
+    p_from_status: from,
+    p_fields: fields,
+    p_items: items || null,
+    p_restart: restart,
+  });
+  if (!error) return { row: data };
+  const msg = error.message || 'Could not update pickup';
+  if (/function edit_pickup/i.test(msg) || /schema cache/i.test(msg)) {
+    return { error: 'Missing RPC edit_pickup. Apply supabase/migrations/024_pickup_edit_rpc.sql, then retry.', httpStatus: 501 };
+  }
+  if (/pickup status changed/i.test(msg)) return pickupStateMachine.conflict('Pickup changed while updating; reload and retry', null, 'status_changed');
+  if (/cannot be changed in status|cannot move from/i.test(msg)) return pickupStateMachine.conflict(msg, null);
+  if (/pickup not found/i.test(msg)) return { error: 'pickup not found', httpStatus: 404 };
+  return { error: msg, httpStatus: 400 };
+}
+
+async function restartDispatch(pickupId, window) {
+  // Pickup is back in REQUESTED: hold it as SCHEDULED if its window is far enough ahead, else dispatch.
+  let held = false;
+  if (window) {
+    try {
+      held = (await dispatcher.schedulePickup(pickupId, window)).held;
+    } catch (e) {
+      console.warn(`[DISPATCH] pickup_schedule_failed pickupId=${pickupId} error=${e?.message || e}; dispatching now`);
+    }
+  }
+  if (!held) dispatcher.dispatchPickup(pickupId).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+  return held;
+}
+
+async function editPickup({ anon, service, pickupId, body }) {
+  // -> { pickup, fields, dispatchRestarted } or { error, httpStatus }
+  const parsed = parseChanges(body);
+  if (parsed.error) return { error: parsed.error, httpStatus: 400 };
+  const { changes } = parsed;
+  const fields = fieldsOf(changes);
+
+  // RLS: customers only see their own pickups.
+  const { data: current, error } = await anon.from('pickups').select(PICKUP_COLUMNS).eq('id', pickupId).maybeSingle();
+  if (error) return { error: error.message || 'Could not verify pickup', httpStatus: 400 };
+  if (!current) return { error: 'pickup not found', httpStatus: 404 };
+
+  const status = String(current.status || '').toUpperCase();
+  const editable = EDITABLE_FIELDS[status];
+  if (!editable) return pickupStateMachine.conflict(`Pickup cannot be edited in status ${current.status}`, current.status);
+  const blocked = fields.find((f) => !editable.includes(f));
+  if (blocked) return pickupStateMachine.conflict(`${blocked} cannot be changed in status ${current.status}`, current.status);
+
+  // Candidates were chosen by where and when, and by what is collected once the search is on:
+  // only those send the pickup back through dispatch.
+  const dispatchRestarted = Boolean(changes.location || changes.slot || (changes.items && status === STATES.FINDING_VENDOR));
+  if (dispatchRestarted && !pickupStateMachine.canTransition('edit', status)) {
+    return pickupStateMachine.refusal(current.status, pickupStateMachine.TRANSITIONS.edit.to);
+  }
+
+  const patch = {
+    ...(changes.address ? { address: changes.address } : {}),
+    ...(changes.location ? { latitude: changes.location.latitude, longitude: changes.location.longitude } : {}),
+    ...(changes.slot
+      ? {
+          time_slot: changes.slot.label,
+          window_start: changes.slot.immediate ? null : changes.slot.windowStart,
+          window_end: changes.slot.immediate ? null : changes.slot.windowEnd,
+        }
+      : {}),
+  };
+  const edited = await applyEdit(service, pickupId, {
+    from: current.status,
+    fields: patch,
+    items: changes.items,
+    restart: dispatchRestarted,
+  });
+  if (edited.error) return edited;
+  let updated = Object.fromEntries(PICKUP_COLUMNS.split(',').map((c) => [c, edited.row?.[c] ?? null]));
+
+  pickupEvents.recordPickupEvent(service, pickupId, 'pickup_updated', {
+    actor: pickupEvents.ACTOR_CUSTOMER,
+    status: updated.status,
+    detail: { fields, previous_status: current.status, dispatch_restarted: dispatchRestarted },
+  });
+
+  console.log(
+    `[DISPATCH] pickup_updated pickupId=${pickupId} fields=${fields.join(',')} previous_status=${current.status} restarted=${dispatchRestarted}`
+  );
+
+  if (dispatchRestarted) {
+    await dispatcher.withdrawDispatch(pickupId, {
+      assignedVendorRef: status === STATES.ASSIGNED ? current.assigned_vendor_ref : null,
+      reason: 'pickup_updated',
+    });
+    const window = updated.window_start ? { windowStart: updated.window_start, windowEnd: updated.window_end } : null;
+    const held = await restartDispatch(pickupId, window);
+    updated = { ...updated, status: held ? STATES.SCHEDULED : STATES.REQUESTED };
+  }
+
+  return { pickup: updated, fields, dispatchRestarted };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  editPickup,
+};
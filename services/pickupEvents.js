@@ -0,0 +1,111 @@
+// Pickup event journal (see supabase/migrations/011_pickup_events.sql).
+//
+// Every lifecycle transition and dispatch event is appended to pickup_events alongside the
+// existing [DISPATCH] log line. Writes are fire-and-forget: a missing table or a failed insert
+// never blocks dispatch.
+//
+// Customer-visible events are the coarse lifecycle steps; offer-level events (which vendor was
+// offered, timeouts, failures) are journalled for the admin timeline only.
+//
+// Recorded rows are also published in-process (onPickupEvent) once inserted, for the live
+// customer stream (services/pickupStream.js).
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const ACTOR_CUSTOMER = 'customer';
+const ACTOR_VENDOR = 'vendor';
+const ACTOR_SYSTEM = 'system';
+const ACTOR_ADMIN = 'admin';
+
+const CUSTOMER_VISIBLE_EVENTS = new Set([
+  'pickup_created',
+  'pickup_updated',
+  'scheduled',
+  'finding_vendor',
+  'vendor_assigned',
+  'vendor_en_route',
+  'vendor_arrived',
+  'vendor_released',
+  'no_vendor_available',
+  'dispatch_restarted',
+  'cancelled',
+  'expired',
+  'completed',
+  'settled',
+]);
+
+function recordPickupEvent(supabase, pickupId, eventType, fields = {}) {
+  // fields: { actor, vendorRef, reason, status, detail }
+  if (!supabase || !pickupId || !eventType) return;
+  const row = {
+    pickup_id: pickupId,
+    event_type: eventType,
+    actor: fields.actor || ACTOR_SYSTEM,
+    vendor_ref: fields.vendorRef != null ? String(fields.vendorRef) : null,
+    reason: fields.reason != null ? String(fields.reason).slice(0, 300) : null,
+    status: fields.status || null,
+    detail: fields.detail || null,
+    customer_visible: CUSTOMER_VISIBLE_EVENTS.has(eventType),
+    // Stamped here (not by the DB default) so fire-and-forget inserts keep their real order.
+    created_at: new Date().toISOString(),
+  };
+
+  Promise.resolve()
+    .then(() => supabase.from('pickup_events').insert([row]).select('id').single())
+    .then(({ data, error } = {}) => {
+      if (error && !/relation .*pickup_events.* does not exist/i.test(error.message || '')) {
+        console.warn(`[EVENTS] record_failed pickupId=${pickupId} event=${eventType} error=${error.message || error}`);
+      }
+      if (!error && data?.id != null) bus.emit(String(pickupId), { ...row, id: data.id });
+    })
+    .catch((e) => console.warn(`[EVENTS] record_failed pickupId=${pickupId} event=${eventType} error=${e?.message || e}`));
+}
+
+function onPickupEvent(pickupId, listener) {
+  // listener(row) for every event of this pickup recorded by this process; returns unsubscribe.
+  const key = String(pickupId);
+  bus.on(key, listener);
+  return () => bus.off(key, listener);
+}
+
+function toTimelineEntry(row, { full = false } = {}) {
+  const entry = {
+    id: row.id,
+    event: row.event_type,
+    actor: row.actor,
+    status: row.status || null,
+    reason: row.reason || null,
+    at: row.created_at,
+  };
+  if (!full) return entry;
+  return { ...entry, vendorRef: row.vendor_ref || null, detail: row.detail || null, customerVisible: !!row.customer_visible };
+}
+
+async function fetchTimeline(supabase, pickupId, { full = false } = {}) {
+  // Customer reads go through the JWT client, so RLS limits rows and the column grant limits fields.
+  const columns = full ? '*' : 'id,event_type,actor,reason,status,created_at';
+  const { data, error } = await supabase
+    .from('pickup_events')
+    .select(columns)
+    .eq('pickup_id', pickupId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(1000);
+  if (error) throw error;
+  return (data || []).map((row) => toTimelineEntry(row, { full }));
+}
+
+module.exports = {
+  ACTOR_CUSTOMER,
+  ACTOR_VENDOR,
+  ACTOR_SYSTEM,
+  ACTOR_ADMIN,
+  CUSTOMER_VISIBLE_EVENTS,
+  recordPickupEvent,
+  onPickupEvent,
+  toTimelineEntry,
+  fetchTimeline,
+};
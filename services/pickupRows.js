@@ -0,0 +1,147 @@
+// Customer-facing pickup shape shared by GET /api/pickups, GET /api/pickups/:id and the dev
+// /api/orders routes: one select list and one normalizer, so every endpoint returns the same keys.
+// Also the query parsing and keyset cursors for the customer's pickup history (GET /api/pickups).
+
+const { STATES } = require('./pickupStateMachine');
+
+const PICKUP_STATUSES = Object.values(STATES);
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const PICKUP_COLUMNS =
+  'id,status,address,latitude,longitude,time_slot,window_start,window_end,assigned_vendor_ref,assignment_expires_at,' +
+  'cancelled_at,en_route_at,arrived_at,completed_at,expired_at,created_at,redispatch_attempts,next_redispatch_at,quote_id,' +
+  'pickup_items(id,estimated_quantity,actual_weight,scrap_type_id,scrap_types(name))';
+
+function normalizePickupRow(p) {
+  if (!p) return null;
+  return {
+    id: p.id,
+    status: p.status,
+    address: p.address,
+    latitude: p.latitude,
+    longitude: p.longitude,
+    timeSlot: p.time_slot,
+    windowStart: p.window_start ?? null,
+    windowEnd: p.window_end ?? null,
+    assignedVendorRef: p.assigned_vendor_ref,
+    assignmentExpiresAt: p.assignment_expires_at,
+    cancelledAt: p.cancelled_at,
+    enRouteAt: p.en_route_at ?? null,
+    arrivedAt: p.arrived_at ?? null,
+    completedAt: p.completed_at ?? null,
+    expiredAt: p.expired_at ?? null,
+    // NO_VENDOR_AVAILABLE only: when the search automatically runs again (null = no retries left).
+    nextRetryAt: p.status === STATES.NO_VENDOR_AVAILABLE ? p.next_redispatch_at ?? null : null,
+    retryAttempts: p.redispatch_attempts ?? 0,
+    quoteId: p.quote_id ?? null,
+    createdAt: p.created_at,
+    items: (p.pickup_items || []).map((it) => ({
+      id: it.id,
+      scrapTypeId: it.scrap_type_id,
+      scrapTypeName: it.scrap_types?.name || null,
+      estimatedQuantity: it.estimated_quantity,
+      actualWeight: it.actual_weight ?? null,
+    })),
+  };
+}
+
+function encodeCursor(row) {
+  // Opaque to clients: the (created_at, id) of the last row on the page.
+  return Buffer.from(JSON.stringify({ c: row.created_at, i: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // Both values end up in a PostgREST filter, so only accept a timestamp and a uuid.
+    if (!parsed || typeof parsed.c !== 'string' || Number.isNaN(new Date(parsed.c).getTime())) return null;
+    if (/[",()]/.test(parsed.c) || !UUID_RE.test(String(parsed.i))) return null;
+    return { createdAt: parsed.c, id: String(parsed.i) };
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value, name) {
+  const d = new Date(String(value));
+  return Number.isNaN(d.getTime()) ? { error: `${name} must be an ISO date or date-time.` } : { iso: d.toISOString() };
+}
+
+function parseListQuery(query = {}) {
+  // -> { statuses, from, to, ascending, limit, cursor } or { error }
+  let statuses = null;
+  if (query.status != null && String(query.status).trim() !== '') {
+    statuses = [...new Set(String(query.status).split(',').map((s) => s.trim().toUpperCase()).filter(Boolean))];
+    const unknown = statuses.filter((s) => !PICKUP_STATUSES.includes(s));
+    if (unknown.length) return { error: `Unknown status: ${unknown.join(', ')}. Expected one of ${PICKUP_STATUSES.join(', ')}.` };
+  }
+
+  let from = null;
+  let to = null;
+  if (query.from != null && query.from !== '') {
+    const d = parseDate(query.from, 'from');
+    if (d.error) return d;
+    from = d.iso;
+  }
+  if (query.to != null && query.to !== '') {
+    const d = parseDate(query.to, 'to');
+    if (d.error) return d;
+    to = d.iso;
+  }
+  if (from && to && from >= to) return { error: 'from must be before to.' };
+
+  const sort = String(query.sort || 'newest').toLowerCase();
+  if (!['newest', 'oldest'].includes(sort)) return { error: 'sort must be newest or oldest.' };
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit != null && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor != null && query.cursor !== '') {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'cursor is invalid.' };
+  }
+
+  return { statuses, from, to, ascending: sort === 'oldest', limit, cursor };
+}
+
+async function listPickups(supabase, { statuses, from, to, ascending, limit, cursor }) {
+  // Keyset pagination on (created_at, id); RLS limits the rows to the caller's own pickups.
+  let q = supabase.from('pickups').select(PICKUP_COLUMNS);
+  if (statuses) q = q.in('status', statuses);
+  if (from) q = q.gte('created_at', from);
+  if (to) q = q.lt('created_at', to);
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    const at = `"${cursor.createdAt}"`;
+    q = q.or(`created_at.${op}.${at},and(created_at.eq.${at},id.${op}.${cursor.id})`);
+  }
+  const { data, error } = await q
+    .order('created_at', { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const rows = data || [];
+  const page = rows.slice(0, limit);
+  return {
+    pickups: page.map(normalizePickupRow),
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  PICKUP_STATUSES,
+  PICKUP_COLUMNS,
+  parseListQuery,
+  listPickups,
+  normalizePickupRow,
+};
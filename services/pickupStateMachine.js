@@ -0,0 +1,188 @@
+const pickupEvents = require('./pickupEvents');
+
+// Pickup lifecycle: the states, the legal transitions, who may trigger each one and what each one
+// writes besides the status (cleared offer fields, timestamps, the journal event).
+//
+//   REQUESTED -> SCHEDULED -> REQUESTED                (held until the lead time before the window)
+//   REQUESTED | SCHEDULED | NO_VENDOR_AVAILABLE -> FINDING_VENDOR <-> NO_VENDOR_AVAILABLE
+//   FINDING_VENDOR -> ASSIGNED -> EN_ROUTE -> ARRIVED -> COMPLETED
+//   ASSIGNED | EN_ROUTE -> FINDING_VENDOR              (vendor release)
+//   open states -> EXPIRED;  open and assigned states -> CANCELLED
+//
+// Every status write in the backend goes through transition(): an update with compare-and-set on
+// the current status, so a pickup that moved meanwhile is never overwritten. Refused transitions
+// come back as { error, httpStatus: 409, code, currentStatus }; routes send errorBody(result).
+// SQL-side writers follow the same rules: create_pickup (REQUESTED), accept_broadcast_offer
+// (FINDING_VENDOR -> ASSIGNED, migration 005), cancel_pickup (migration 022) and edit_pickup
+// (the `edit` transition together with the edited fields and items, migration 024).
+
+const STATES = Object.freeze({
+  REQUESTED: 'REQUESTED',
+  SCHEDULED: 'SCHEDULED',
+  FINDING_VENDOR: 'FINDING_VENDOR',
+  NO_VENDOR_AVAILABLE: 'NO_VENDOR_AVAILABLE',
+  ASSIGNED: 'ASSIGNED',
+  EN_ROUTE: 'EN_ROUTE',
+  ARRIVED: 'ARRIVED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+});
+
+// Still waiting for a vendor (these expire once the time-slot window has ended).
+const OPEN_STATES = [STATES.REQUESTED, STATES.SCHEDULED, STATES.FINDING_VENDOR, STATES.NO_VENDOR_AVAILABLE];
+// A vendor holds the pickup; dispatch is over unless the vendor releases it.
+const ASSIGNED_STATES = [STATES.ASSIGNED, STATES.EN_ROUTE, STATES.ARRIVED];
+const FINAL_STATES = [STATES.COMPLETED, STATES.CANCELLED, STATES.EXPIRED];
+
+const { ACTOR_CUSTOMER, ACTOR_VENDOR, ACTOR_SYSTEM } = pickupEvents;
+
+const CLEAR_OFFER = { assigned_vendor_ref: null, assignment_expires_at: null };
+const CLEAR_RETRIES = { redispatch_attempts: 0, next_redispatch_at: null };
+
+const TRANSITIONS = Object.freeze({
+  schedule: { from: [STATES.REQUESTED], to: STATES.SCHEDULED, actors: [ACTOR_SYSTEM], event: 'scheduled' },
+  schedule_due: { from: [STATES.SCHEDULED], to: STATES.REQUESTED, actors: [ACTOR_SYSTEM] },
+  search: {
+    from: OPEN_STATES,
+    to: STATES.FINDING_VENDOR,
+    actors: [ACTOR_SYSTEM],
+    set: { next_redispatch_at: null },
+    event: 'finding_vendor',
+  },
+  no_vendor: {
+    from: [STATES.FINDING_VENDOR],
+    to: STATES.NO_VENDOR_AVAILABLE,
+    actors: [ACTOR_SYSTEM],
+    set: CLEAR_OFFER,
+    event: 'no_vendor_available',
+  },
+  retry: {
+    from: [STATES.REQUESTED, STATES.FINDING_VENDOR, STATES.NO_VENDOR_AVAILABLE],
+    to: STATES.FINDING_VENDOR,
+    actors: [ACTOR_CUSTOMER],
+    // A manual retry starts the automatic retry schedule over.
+    set: { ...CLEAR_OFFER, ...CLEAR_RETRIES },
+    event: 'dispatch_restarted',
+  },
+  edit: {
+    from: [...OPEN_STATES, STATES.ASSIGNED],
+    to: STATES.REQUESTED,
+    actors: [ACTOR_CUSTOMER],
+    set: { ...CLEAR_OFFER, ...CLEAR_RETRIES },
+    event: 'pickup_updated',
+  },
+  accept: {
+    from: [STATES.FINDING_VENDOR],
+    to: STATES.ASSIGNED,
+    actors: [ACTOR_VENDOR],
+    set: { assignment_expires_at: null },
+    event: 'vendor_assigned',
+  },
+  release: {
+    from: [STATES.ASSIGNED, STATES.EN_ROUTE],
+    to: STATES.FINDING_VENDOR,
+    actors: [ACTOR_VENDOR],
+    set: { ...CLEAR_OFFER, ...CLEAR_RETRIES, en_route_at: null },
+    event: 'vendor_released',
+  },
+  en_route: { from: [STATES.ASSIGNED], to: STATES.EN_ROUTE, actors: [ACTOR_VENDOR], stamp: 'en_route_at', event: 'vendor_en_route' },
+  arrive: { from: [STATES.EN_ROUTE], to: STATES.ARRIVED, actors: [ACTOR_VENDOR], stamp: 'arrived_at', event: 'vendor_arrived' },
+  complete: { from: [STATES.ARRIVED], to: STATES.COMPLETED, actors: [ACTOR_VENDOR], stamp: 'completed_at', event: 'completed' },
+  expire: {
+    from: OPEN_STATES,
+    to: STATES.EXPIRED,
+    actors: [ACTOR_SYSTEM],
+    set: CLEAR_OFFER,
+    stamp: 'expired_at',
+    event: 'expired',
+  },
+  cancel: {
+    from: [...OPEN_STATES, ...ASSIGNED_STATES],
+    to: STATES.CANCELLED,
+    actors: [ACTOR_CUSTOMER],
+    set: CLEAR_OFFER,
+    stamp: 'cancelled_at',
+    event: 'cancelled',
+  },
+});
+
+function isFinal(status) {
+  return FINAL_STATES.includes(status);
+}
+
+function canTransition(name, fromStatus) {
+  return Boolean(TRANSITIONS[name]?.from.includes(fromStatus));
+}
+
+function conflict(error, currentStatus, code = 'invalid_transition') {
+  return { error, httpStatus: 409, code, currentStatus: currentStatus ?? null };
+}
+
+function refusal(fromStatus, toStatus) {
+  // The uniform 409 for a transition the state machine does not allow.
+  return conflict(`Pickup cannot move from ${fromStatus} to ${toStatus}`, fromStatus);
+}
+
+function errorBody(result) {
+  // JSON body for a failed transition (or any { error, httpStatus } result).
+  return {
+    success: false,
+    error: result.error,
+    ...(result.code ? { code: result.code, currentStatus: result.currentStatus ?? null } : {}),
+  };
+}
+
+async function transition(supabase, pickupId, name, options = {}) {
+  // -> { pickup } or { error, httpStatus, code?, currentStatus? }
+  // options: actor (required), from (expected current status, narrows the CAS), patch (extra
+  // columns), match ({ column: value } that must also hold), where (q => q with extra filters),
+  // select (columns returned), event (extra journal fields, or false to skip the event).
+  const { actor, from, patch = {}, match = {}, where, select = 'id,status', event } = options;
+  const t = TRANSITIONS[name];
+  if (!t) throw new Error(`Unknown pickup transition: ${name}`);
+  if (!t.actors.includes(actor)) throw new Error(`Pickup transition ${name} cannot be triggered by ${actor || 'unknown actor'}`);
+
+  const expected = from != null ? [].concat(from) : t.from;
+  const illegal = expected.find((s) => !t.from.includes(s));
+  if (illegal) return refusal(illegal, t.to);
+
+  const row = {
+    ...(t.set || {}),
+    ...(t.stamp ? { [t.stamp]: new Date().toISOString() } : {}),
+    ...patch,
+    status: t.to,
+  };
+  let q = supabase.from('pickups').update(row).eq('id', pickupId).in('status', expected);
+  for (const [column, value] of Object.entries(match)) q = value === null ? q.is(column, null) : q.eq(column, value);
+  if (where) q = where(q);
+  const { data, error } = await q.select(select).maybeSingle();
+  if (error) throw error;
+
+  if (!data) {
+    const { data: current, error: readErr } = await supabase.from('pickups').select('id,status').eq('id', pickupId).maybeSingle();
+    if (readErr) throw readErr;
+    if (!current) return { error: 'pickup not found', httpStatus: 404 };
+    if (!t.from.includes(current.status)) return refusal(current.status, t.to);
+    return conflict('Pickup changed while updating; reload and retry', current.status, 'status_changed');
+  }
+
+  if (t.event && event !== false) {
+    pickupEvents.recordPickupEvent(supabase, pickupId, t.event, { actor, status: t.to, ...(event || {}) });
+  }
+  return { pickup: data };
+}
+
+module.exports = {
+  STATES,
+  OPEN_STATES,
+  ASSIGNED_STATES,
+  FINAL_STATES,
+  TRANSITIONS,
+  isFinal,
+  canTransition,
+  conflict,
+  refusal,
+  errorBody,
+  transition,
+};
@@ -0,0 +1,189 @@
+const metrics = require('./metrics');
+const pickupEvents = require('./pickupEvents');
+const settlements = require('./settlements');
+const { PICKUP_COLUMNS, normalizePickupRow } = require('./pickupRows');
+const { STATES } = require('./pickupStateMachine');
+
+// Live pickup updates for the customer app over Server-Sent Events (GET /api/pickups/:id/stream).
+//
+// The stream is a view of the pickup_events journal: every SSE event that carries an `id:` is a
+// journal row (bigserial id), so a reconnect with Last-Event-ID replays exactly what was missed.
+// Events recorded by this process are pushed as soon as they are inserted (onPickupEvent); a
+// short poll of the journal picks up events written by other backend instances.
+//
+// SSE events:
+//   pickup      current pickup (same shape as GET /api/pickups/:id) on connect and after changes
+//   <lifecycle> customer-visible journal events (finding_vendor, vendor_assigned, completed, ...)
+//   offer       an offer is out; { expiresAt } drives the countdown (the vendor is not disclosed)
+//   end         the pickup reached a final state; the server closes the stream
+// plus a `: ping` comment line as heartbeat.
+
+const END_EVENTS = new Set(['cancelled', 'expired', 'settled']);
+const SNAPSHOT_DELAY_MS = 150;
+
+let openStreams = 0;
+metrics.gauge({
+  name: 'scrapco_pickup_streams_open',
+  help: 'Customer pickup SSE streams currently open on this instance.',
+  collect: () => openStreams,
+});
+
+function envSeconds(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function toStreamEvent(row) {
+  // Journal row -> { event, data } safe for the customer, or null when the row is not shown.
+  if (row.customer_visible) return { event: row.event_type, data: pickupEvents.toTimelineEntry(row) };
+  if (row.event_type === 'offer_sent' && row.detail?.expires_at) {
+    return { event: 'offer', data: { id: row.id, expiresAt: row.detail.expires_at, at: row.created_at } };
+  }
+  return null;
+}
+
+async function latestEventId(service, pickupId) {
+  const { data, error } = await service
+    .from('pickup_events')
+    .select('id')
+    .eq('pickup_id', pickupId)
+    .order('id', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.id ?? 0;
+}
+
+async function eventsAfter(service, pickupId, afterId) {
+  const { data, error } = await service
+    .from('pickup_events')
+    .select('*')
+    .eq('pickup_id', pickupId)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(200);
+  if (error) throw error;
+  return data || [];
+}
+
+async function openPickupStream({ req, res, anon, service, pickup, lastEventId }) {
+  // pickup: the caller's own pickup row (already checked through the JWT client).
+  const pickupId = pickup.id;
+  // Journal ids are taken at insert but rows become visible at commit, so a lower id can show up
+  // after a higher one. The poll cursor therefore trails the newest polled id by one poll, and
+  // `sent` keeps the overlap (and bus events) from going out twice.
+  let cursor = Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : null;
+  let polledUpTo = cursor;
+  const sent = new Set();
+  let lastId = cursor;
+  let closed = false;
+  let snapshotTimer = null;
+  let polling = false;
+  const timers = [];
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${Math.round(envSeconds('PICKUP_STREAM_RETRY_SECONDS', 3) * 1000)}\n\n`);
+
+  function write(event, data, id) {
+    if (closed) return;
+    res.write(`${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    openStreams -= 1;
+    unsubscribe();
+    timers.forEach(clearInterval);
+    if (snapshotTimer) clearTimeout(snapshotTimer);
+    res.end();
+    console.log(`[STREAM] closed pickupId=${pickupId} lastEventId=${lastId ?? ''}`);
+  }
+
+  async function sendSnapshot() {
+    snapshotTimer = null;
+    try {
+      const { data, error } = await anon.from('pickups').select(PICKUP_COLUMNS).eq('id', pickupId).maybeSingle();
+      if (error) throw error;
+      if (data) write('pickup', normalizePickupRow(data));
+    } catch (e) {
+      console.warn(`[STREAM] snapshot_failed pickupId=${pickupId} error=${e?.message || e}`);
+    }
+  }
+
+  function deliver(row) {
+    // Journal rows arrive from the bus and the poll, in any order; each is sent once.
+    const id = Number(row.id);
+    if (closed || row.id == null || (cursor != null && id <= cursor) || sent.has(id)) return;
+    sent.add(id);
+    lastId = Math.max(lastId ?? 0, id);
+    const out = toStreamEvent(row);
+    if (!out) return;
+    write(out.event, out.data, row.id);
+    if (END_EVENTS.has(row.event_type)) {
+      write('end', { status: row.status || null });
+      close();
+      return;
+    }
+    // Coalesce bursts (e.g. vendor_assigned + offer_withdrawn) into one pickup snapshot.
+    if (!snapshotTimer) snapshotTimer = setTimeout(sendSnapshot, SNAPSHOT_DELAY_MS);
+  }
+
+  async function poll() {
+    if (closed || polling) return;
+    polling = true;
+    try {
+      const rows = await eventsAfter(service, pickupId, cursor ?? 0);
+      for (const row of rows) deliver(row);
+      // Move the cursor up to what the previous poll saw; ids at or below it are settled.
+      if (polledUpTo != null && polledUpTo > (cursor ?? 0)) {
+        cursor = polledUpTo;
+        for (const id of sent) if (id <= cursor) sent.delete(id);
+      }
+      if (rows.length) polledUpTo = Math.max(polledUpTo ?? 0, Number(rows[rows.length - 1].id));
+    } catch (e) {
+      console.warn(`[STREAM] poll_failed pickupId=${pickupId} error=${e?.message || e}`);
+    } finally {
+      polling = false;
+    }
+  }
+
+  openStreams += 1;
+  const unsubscribe = pickupEvents.onPickupEvent(pickupId, deliver);
+  req.on('close', close);
+  console.log(`[STREAM] opened pickupId=${pickupId} lastEventId=${lastId ?? ''}`);
+
+  try {
+    // Resume: replay what was missed. Fresh connect: start after the latest journal row.
+    if (cursor != null) await poll();
+    else cursor = polledUpTo = lastId = await latestEventId(service, pickupId);
+  } catch (e) {
+    console.warn(`[STREAM] start_failed pickupId=${pickupId} error=${e?.message || e}`);
+  }
+  if (closed) return;
+  write('pickup', normalizePickupRow(pickup));
+
+  // Nothing more will happen to a cancelled, expired or settled pickup.
+  let final = [STATES.CANCELLED, STATES.EXPIRED].includes(pickup.status);
+  if (pickup.status === STATES.COMPLETED) final = Boolean(await settlements.fetchSettlement(service, pickupId).catch(() => null));
+  // The client may have gone while the settlement was read; close() already ran and would not clear these.
+  if (closed) return;
+  if (final) {
+    write('end', { status: pickup.status });
+    close();
+    return;
+  }
+
+  timers.push(setInterval(() => !closed && res.write(': ping\n\n'), envSeconds('PICKUP_STREAM_HEARTBEAT_SECONDS', 20) * 1000));
+  timers.push(setInterval(poll, envSeconds('PICKUP_STREAM_POLL_SECONDS', 5) * 1000));
+}
+
+module.exports = {
+  openPickupStream,
+};
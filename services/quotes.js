@@ -0,0 +1,168 @@
+const { currency, activeRateByType, toPaise } = require('./rates');
+
+// Price quotes for a prospective pickup (supabase/migrations/017_pickup_quotes.sql).
+//
+// A quote prices the same items array POST /api/pickups takes ({ scrapTypeId, estimatedQuantity })
+// at the current active rates. It is an estimate only: the payout is settled later from the weighed
+// quantities (services/settlements.js). Quotes are stored so the customer can attach one to the
+// pickup they create (quoteId); each quote can be attached to one pickup, before it expires.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Per-item outcome: priced, or why it could not be.
+const ITEM_PRICED = 'priced';
+const ITEM_UNKNOWN_TYPE = 'unknown_scrap_type';
+const ITEM_NO_ACTIVE_RATE = 'no_active_rate';
+
+function quoteTtlMinutes() {
+  const n = Number(process.env.QUOTE_TTL_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+function validatePickupItems(items) {
+  // -> error message or null; mirrors the checks create_pickup applies.
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'items is required (array of { scrapTypeId, estimatedQuantity }).';
+  }
+  for (const [i, it] of items.entries()) {
+    if (it?.scrapTypeId == null || String(it.scrapTypeId).trim() === '') return `items[${i}].scrapTypeId is required.`;
+    const qty = it.estimatedQuantity;
+    if (typeof qty !== 'number' || !Number.isFinite(qty) || qty <= 0) return `items[${i}].estimatedQuantity must be a number > 0.`;
+  }
+  return null;
+}
+
+async function fetchScrapTypes(supabase, ids) {
+  // id -> scrap type row; ids that are not uuids cannot exist, so they are not queried.
+  const valid = [...new Set(ids.filter((id) => UUID_RE.test(id)))];
+  const out = new Map();
+  if (!valid.length) return out;
+
+  const { data, error } = await supabase.from('scrap_types').select('id,name').in('id', valid);
+  if (error) throw error;
+  for (const t of data || []) out.set(String(t.id), t);
+  return out;
+}
+
+async function priceItems(supabase, items) {
+  // -> { lineItems, totalQuantity, totalAmount, unpriced }; money is summed in paise to avoid drift.
+  const ids = items.map((it) => String(it.scrapTypeId).trim());
+  const [types, rates] = await Promise.all([fetchScrapTypes(supabase, ids), activeRateByType(supabase)]);
+
+  let totalPaise = 0;
+  let totalQuantity = 0;
+  let unpriced = 0;
+  const lineItems = items.map((it, i) => {
+    const type = types.get(ids[i]) || null;
+    const rate = type ? rates.get(type.id) || null : null;
+    const quantity = Number(it.estimatedQuantity);
+    const status = !type ? ITEM_UNKNOWN_TYPE : !rate ? ITEM_NO_ACTIVE_RATE : ITEM_PRICED;
+    const amountPaise = rate ? toPaise(quantity * Number(rate.rate_per_kg)) : 0;
+    if (!rate) unpriced += 1;
+    totalPaise += amountPaise;
+    totalQuantity += quantity;
+    return {
+      scrap_type_id: ids[i],
+      scrap_type_name: type?.name || null,
+      estimated_quantity: quantity,
+      status,
+      rate_id: rate?.id ?? null,
+      rate_per_kg: rate ? Number(rate.rate_per_kg) : null,
+      rate_effective_from: rate?.effective_from ?? null,
+      amount: amountPaise / 100,
+    };
+  });
+  return { lineItems, totalQuantity: Math.round(totalQuantity * 1000) / 1000, totalAmount: totalPaise / 100, unpriced };
+}
+
+async function createQuote(supabase, { customerId, items }) {
+  // Price and store a quote with the service client; -> the pickup_quotes row.
+  const { lineItems, totalQuantity, totalAmount, unpriced } = await priceItems(supabase, items);
+  const now = new Date();
+  const row = {
+    customer_id: customerId,
+    currency: currency(),
+    total_quantity: totalQuantity,
+    total_amount: totalAmount,
+    unpriced_items: unpriced,
+    line_items: lineItems,
+    expires_at: new Date(now.getTime() + quoteTtlMinutes() * 60_000).toISOString(),
+    created_at: now.toISOString(),
+  };
+
+  const { data, error } = await supabase.from('pickup_quotes').insert([row]).select('*').single();
+  if (error) throw error;
+
+  console.log(
+    `[QUOTE] created quoteId=${data.id} total=${totalAmount} ${row.currency} items=${lineItems.length} unpriced=${unpriced}`
+  );
+  return data;
+}
+
+async function fetchQuote(supabase, quoteId) {
+  if (!UUID_RE.test(String(quoteId || ''))) return null;
+  const { data, error } = await supabase.from('pickup_quotes').select('*').eq('id', quoteId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+function quoteUnusableReason(quote, now = Date.now()) {
+  // -> { error, httpStatus } when the quote cannot be attached to a new pickup, else null.
+  if (!quote) return { error: 'quoteId does not match a quote of yours', httpStatus: 400 };
+  if (quote.pickup_id) return { error: 'quote is already attached to a pickup', httpStatus: 409 };
+  if (new Date(quote.expires_at).getTime() <= now) return { error: 'quote has expired; request a new quote', httpStatus: 409 };
+  return null;
+}
+
+async function attachQuote(supabase, quoteId, pickupId) {
+  // Claim the quote for the pickup (first pickup wins), then link it from the pickup.
+  const { data: claimed, error } = await supabase
+    .from('pickup_quotes')
+    .update({ pickup_id: pickupId })
+    .eq('id', quoteId)
+    .is('pickup_id', null)
+    .select('id')
+    .maybeSingle();
+  if (error) throw error;
+  if (!claimed) {
+    console.warn(`[QUOTE] attach_skipped quoteId=${quoteId} pickupId=${pickupId} reason=already_attached`);
+    return false;
+  }
+
+  const { error: linkErr } = await supabase.from('pickups').update({ quote_id: quoteId }).eq('id', pickupId);
+  if (linkErr) throw linkErr;
+  console.log(`[QUOTE] attached quoteId=${quoteId} pickupId=${pickupId}`);
+  return true;
+}
+
+function toQuoteResponse(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    currency: row.currency,
+    totalAmount: Number(row.total_amount),
+    totalQuantity: Number(row.total_quantity),
+    unpricedItems: row.unpriced_items,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    pickupId: row.pickup_id ?? null,
+    items: (row.line_items || []).map((l) => ({
+      scrapTypeId: l.scrap_type_id,
+      scrapTypeName: l.scrap_type_name,
+      estimatedQuantity: l.estimated_quantity,
+      status: l.status,
+      ratePerKg: l.rate_per_kg,
+      rateEffectiveFrom: l.rate_effective_from,
+      amount: l.amount,
+    })),
+  };
+}
+
+module.exports = {
+  validatePickupItems,
+  createQuote,
+  fetchQuote,
+  quoteUnusableReason,
+  attachQuote,
+  toQuoteResponse,
+};
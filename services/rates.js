@@ -0,0 +1,104 @@
+// Scrap rate lookups shared by the scrap type listings, quotes and settlements.
+//
+// scrap_rates keeps every rate ever set for a type. POST /api/admin/scrap-rates inserts a new active
+// row effective now or at a scheduled future time; earlier rows are kept as history. A scheduled
+// rate can be cancelled before it starts (is_active = false, POST /api/admin/scrap-rates/:id/cancel).
+//
+// One rule for every lookup: the rate at instant t is the active row with the latest
+// effective_from <= t (NULL effective_from predates scheduling and counts as always effective).
+// Current prices use t = now, so a scheduled rate takes over on its own; settlements use the
+// pickup's creation time.
+
+function currency() {
+  return String(process.env.SETTLEMENT_CURRENCY || 'INR').trim().toUpperCase() || 'INR';
+}
+
+function effectiveTime(rate) {
+  // Rows without effective_from predate scheduling and count as always effective.
+  return rate.effective_from ? new Date(rate.effective_from).getTime() : 0;
+}
+
+function latestEffectiveByType(rows, at) {
+  // scrap_type_id -> the active row with the latest effective_from <= at (ms).
+  const latest = new Map();
+  for (const r of rows) {
+    if (!r.is_active || effectiveTime(r) > at) continue;
+    const key = String(r.scrap_type_id);
+    const prev = latest.get(key);
+    if (!prev || effectiveTime(r) >= effectiveTime(prev)) latest.set(key, r);
+  }
+  return latest;
+}
+
+async function activeRateByType(supabase, now = Date.now()) {
+  // scrap_type_id -> the rate in force now; rows scheduled for later are ignored until they start.
+  const { data, error } = await supabase
+    .from('scrap_rates')
+    .select('id,scrap_type_id,rate_per_kg,effective_from,is_active')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return latestEffectiveByType(data || [], now);
+}
+
+async function upcomingRateByType(supabase, now = Date.now()) {
+  // scrap_type_id -> the next scheduled active rate (earliest effective_from > now).
+  const { data, error } = await supabase
+    .from('scrap_rates')
+    .select('id,scrap_type_id,rate_per_kg,effective_from,is_active')
+    .eq('is_active', true)
+    .gt('effective_from', new Date(now).toISOString());
+
+  if (error) throw error;
+
+  const next = new Map();
+  for (const r of data || []) {
+    const prev = next.get(r.scrap_type_id);
+    if (!prev || effectiveTime(r) < effectiveTime(prev)) next.set(r.scrap_type_id, r);
+  }
+  return next;
+}
+
+async function rateHistory(supabase, scrapTypeId, now = Date.now()) {
+  // Every rate row of a type, newest effective_from first, tagged upcoming / current / past.
+  const { data, error } = await supabase
+    .from('scrap_rates')
+    .select('id,scrap_type_id,rate_per_kg,effective_from,is_active')
+    .eq('scrap_type_id', scrapTypeId);
+  if (error) throw error;
+
+  const rows = [...(data || [])].sort((a, b) => effectiveTime(b) - effectiveTime(a));
+  const current = latestEffectiveByType(rows, now).get(String(scrapTypeId)) || null;
+  return rows.map((r) => ({
+    ...r,
+    status: r === current ? 'current' : !r.is_active ? 'cancelled' : effectiveTime(r) > now ? 'upcoming' : 'past',
+  }));
+}
+
+async function ratesEffectiveAt(supabase, scrapTypeIds, at) {
+  // scrap_type_id -> the rate that was in force at `at` (ISO time), by the same rule as activeRateByType.
+  const ids = [...new Set(scrapTypeIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('scrap_rates')
+    .select('id,scrap_type_id,rate_per_kg,effective_from,is_active')
+    .in('scrap_type_id', ids)
+    .eq('is_active', true);
+  if (error) throw error;
+
+  return latestEffectiveByType(data || [], new Date(at).getTime());
+}
+
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+module.exports = {
+  currency,
+  activeRateByType,
+  upcomingRateByType,
+  rateHistory,
+  ratesEffectiveAt,
+  toPaise,
+};
@@ -0,0 +1,117 @@
+const pickupEvents = require('./pickupEvents');
+const { currency, ratesEffectiveAt, toPaise } = require('./rates');
+
+// Settlements: the customer payout for a completed pickup (supabase/migrations/016_pickup_settlements.sql).
+//
+// payout = sum over items of actual_weight x rate_per_kg, using for each scrap type the scrap_rates
+// row that was effective when the pickup was created. The rates are copied into the settlement's
+// line items, and the row is immutable, so later rate changes never alter a past payout.
+// Creating a settlement is idempotent (one per pickup): a repeated call returns the existing one.
+
+function computeLineItems(items, rates) {
+  // -> { lineItems, totalWeight, totalAmount, unpriced }; money is summed in paise to avoid drift.
+  let totalPaise = 0;
+  let totalWeight = 0;
+  let unpriced = 0;
+  const lineItems = items.map((it) => {
+    const weight = Number(it.actual_weight) || 0;
+    const rate = rates.get(String(it.scrap_type_id)) || null;
+    const ratePerKg = rate ? Number(rate.rate_per_kg) : null;
+    const amountPaise = rate ? toPaise(weight * ratePerKg) : 0;
+    if (!rate) unpriced += 1;
+    totalPaise += amountPaise;
+    totalWeight += weight;
+    return {
+      pickup_item_id: it.id,
+      scrap_type_id: it.scrap_type_id,
+      scrap_type_name: it.scrap_types?.name || null,
+      actual_weight: weight,
+      rate_id: rate?.id ?? null,
+      rate_per_kg: ratePerKg,
+      rate_effective_from: rate?.effective_from ?? null,
+      amount: amountPaise / 100,
+    };
+  });
+  return { lineItems, totalWeight: Math.round(totalWeight * 1000) / 1000, totalAmount: totalPaise / 100, unpriced };
+}
+
+async function fetchSettlement(supabase, pickupId) {
+  const { data, error } = await supabase.from('pickup_settlements').select('*').eq('pickup_id', pickupId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function createSettlement(supabase, pickupId) {
+  // Settle a COMPLETED pickup; returns the settlement row (existing or new), or null if not completed.
+  const existing = await fetchSettlement(supabase, pickupId);
+  if (existing) return existing;
+
+  const { data: pickup, error } = await supabase
+    .from('pickups')
+    .select('id,status,assigned_vendor_ref,created_at,pickup_items(id,scrap_type_id,actual_weight,scrap_types(name))')
+    .eq('id', pickupId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!pickup || pickup.status !== 'COMPLETED') return null;
+
+  const items = pickup.pickup_items || [];
+  const rates = await ratesEffectiveAt(supabase, items.map((it) => it.scrap_type_id), pickup.created_at);
+  const { lineItems, totalWeight, totalAmount, unpriced } = computeLineItems(items, rates);
+
+  const row = {
+    pickup_id: pickupId,
+    vendor_ref: pickup.assigned_vendor_ref || null,
+    currency: currency(),
+    total_weight: totalWeight,
+    total_amount: totalAmount,
+    unpriced_items: unpriced,
+    rates_as_of: pickup.created_at,
+    line_items: lineItems,
+    created_at: new Date().toISOString(),
+  };
+
+  const { data: inserted, error: insErr } = await supabase.from('pickup_settlements').insert([row]).select('*').single();
+  if (insErr) {
+    // Lost a race with another completion call: the first settlement stands.
+    if (/duplicate key|unique/i.test(insErr.message || '')) return fetchSettlement(supabase, pickupId);
+    throw insErr;
+  }
+
+  console.log(
+    `[SETTLEMENT] created pickupId=${pickupId} total=${totalAmount} ${row.currency} weight=${totalWeight} items=${lineItems.length} unpriced=${unpriced}`
+  );
+  if (unpriced) console.warn(`[SETTLEMENT] unpriced_items pickupId=${pickupId} count=${unpriced} ratesAsOf=${pickup.created_at}`);
+  pickupEvents.recordPickupEvent(supabase, pickupId, 'settled', {
+    status: 'COMPLETED',
+    detail: { settlement_id: inserted.id, total_amount: totalAmount, currency: row.currency, unpriced_items: unpriced },
+  });
+  return inserted;
+}
+
+function toSettlementResponse(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    currency: row.currency,
+    totalAmount: Number(row.total_amount),
+    totalWeight: Number(row.total_weight),
+    unpricedItems: row.unpriced_items,
+    ratesAsOf: row.rates_as_of,
+    createdAt: row.created_at,
+    lineItems: (row.line_items || []).map((l) => ({
+      pickupItemId: l.pickup_item_id,
+      scrapTypeId: l.scrap_type_id,
+      scrapTypeName: l.scrap_type_name,
+      actualWeight: l.actual_weight,
+      ratePerKg: l.rate_per_kg,
+      rateEffectiveFrom: l.rate_effective_from,
+      amount: l.amount,
+    })),
+  };
+}
+
+module.exports = {
+  createSettlement,
+  fetchSettlement,
+  toSettlementResponse,
+};
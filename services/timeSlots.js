@@ -0,0 +1,167 @@
+// Pickup time slots as real windows in the service timezone.
+//
+// Accepted `timeSlot` values on POST /api/pickups:
+// - "Anytime" / "ASAP" / "Now"                 -> no window, dispatch immediately
+// - "morning" | "afternoon" | "evening"        -> next occurrence of that slot (today if it hasn't ended)
+// - "YYYY-MM-DD morning"                        -> that slot on that date
+// - "YYYY-MM-DD HH:MM-HH:MM"                    -> explicit local window on that date
+// - { start, end } (ISO-8601 strings)           -> explicit absolute window
+// An optional `pickupDate` (YYYY-MM-DD) in the body supplies the date for named/HH:MM slots.
+// Any other text (older clients sent free-form slots) is kept as the label and dispatched
+// immediately with no window, like "Anytime"; it is logged as [SLOTS] time_slot_unrecognised.
+//
+// Local times are interpreted in SERVICE_TIMEZONE (IANA name, default Asia/Kolkata).
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const MAX_DAYS_AHEAD = 30;
+
+const IMMEDIATE_SLOTS = new Set(['anytime', 'asap', 'now']);
+
+const NAMED_SLOTS = {
+  morning: { start: '09:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '16:00' },
+  evening: { start: '16:00', end: '20:00' },
+};
+
+function serviceTimezone() {
+  const tz = String(process.env.SERVICE_TIMEZONE || '').trim() || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch {
+    console.warn(`[SLOTS] invalid SERVICE_TIMEZONE=${tz}; using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function zonedParts(ms, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(ms));
+  const out = {};
+  for (const p of parts) if (p.type !== 'literal') out[p.type] = Number(p.value);
+  return out;
+}
+
+function offsetMs(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+function zonedToUtcMs(dateStr, timeStr, tz) {
+  // "2026-10-20" + "14:30" in tz -> epoch ms. Re-checks the offset once for DST boundaries.
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [hh, mm] = timeStr.split(':').map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  let result = guess - offsetMs(guess, tz);
+  const second = offsetMs(result, tz);
+  if (guess - second !== result) result = guess - second;
+  return result;
+}
+
+function localDate(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function isValidDate(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  return new Date(`${dateStr}T00:00:00Z`).toISOString().slice(0, 10) === dateStr;
+}
+
+function isValidTime(timeStr) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(timeStr);
+}
+
+function windowOnDate(dateStr, startStr, endStr, tz) {
+  const start = zonedToUtcMs(dateStr, startStr, tz);
+  // "22:00-02:00" runs past midnight.
+  const end = zonedToUtcMs(endStr <= startStr ? addDays(dateStr, 1) : dateStr, endStr, tz);
+  return { start, end };
+}
+
+function unrecognised(raw) {
+  // Compat path for free-text slots: no window, dispatch now.
+  console.warn(`[SLOTS] time_slot_unrecognised timeSlot=${JSON.stringify(raw.slice(0, 80))} dispatch=immediate`);
+  return { immediate: true, label: raw, unrecognised: true };
+}
+
+function parseTimeSlot(timeSlot, { pickupDate, now = Date.now() } = {}) {
+  // Returns { immediate: true, label, unrecognised? } | { windowStart, windowEnd, label, timezone } | { error }
+  const tz = serviceTimezone();
+
+  let start;
+  let end;
+  let label;
+
+  if (timeSlot && typeof timeSlot === 'object' && !Array.isArray(timeSlot)) {
+    start = new Date(timeSlot.start).getTime();
+    end = new Date(timeSlot.end).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return { error: 'timeSlot.start and timeSlot.end must be ISO timestamps.' };
+    label = `${new Date(start).toISOString()}/${new Date(end).toISOString()}`;
+  } else {
+    const raw = String(timeSlot || '').trim();
+    if (!raw) return { error: 'timeSlot is required.' };
+    if (IMMEDIATE_SLOTS.has(raw.toLowerCase())) return { immediate: true, label: raw };
+
+    const m = raw.match(/^(?:(\d{4}-\d{2}-\d{2})\s+)?(?:([a-z]+)|(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2}))$/i);
+    if (!m) return unrecognised(raw);
+
+    const explicitDate = m[1] || (pickupDate ? String(pickupDate).trim() : null);
+    if (explicitDate && !isValidDate(explicitDate)) return { error: 'pickup date must be a valid YYYY-MM-DD date.' };
+
+    let slotStart;
+    let slotEnd;
+    if (m[2]) {
+      const named = NAMED_SLOTS[m[2].toLowerCase()];
+      if (!named) return unrecognised(raw);
+      slotStart = named.start;
+      slotEnd = named.end;
+    } else {
+      if (!isValidTime(m[3]) || !isValidTime(m[4])) return { error: 'timeSlot times must be HH:MM (24h).' };
+      slotStart = m[3];
+      slotEnd = m[4];
+    }
+
+    let date = explicitDate || localDate(now, tz);
+    ({ start, end } = windowOnDate(date, slotStart, slotEnd, tz));
+    if (!explicitDate && end <= now) {
+      // Today's slot already ended: the customer means tomorrow.
+      date = addDays(date, 1);
+      ({ start, end } = windowOnDate(date, slotStart, slotEnd, tz));
+    }
+    label = `${date} ${m[2] ? m[2].toLowerCase() : `${slotStart}-${slotEnd}`}`;
+  }
+
+  if (end <= start) return { error: 'timeSlot end must be after start.' };
+  if (end <= now) return { error: 'timeSlot window has already ended.' };
+  if (start - now > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { error: `timeSlot must start within ${MAX_DAYS_AHEAD} days.` };
+  }
+
+  return {
+    immediate: false,
+    windowStart: new Date(start).toISOString(),
+    windowEnd: new Date(end).toISOString(),
+    label,
+    timezone: tz,
+  };
+}
+
+module.exports = {
+  NAMED_SLOTS,
+  serviceTimezone,
+  parseTimeSlot,
+};
@@ -0,0 +1,81 @@
+// Vendor capability matching: which scrap types a vendor handles and how much it can carry.
+// Capabilities live on vendor_backends (migration 007); NULL means "no restriction" so vendors
+// registered before capabilities existed keep receiving every pickup.
+
+function acceptedScrapTypeIdsOf(vendor) {
+  const list = vendor?.accepted_scrap_type_ids;
+  if (!Array.isArray(list)) return null;
+  return new Set(list.map((x) => String(x)));
+}
+
+function maxLoadKgOf(vendor) {
+  const n = Number(vendor?.max_load_kg);
+  return vendor?.max_load_kg != null && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+async function fetchPickupRequirements(supabase, pickupId) {
+  // Estimated quantities are in kg (see POST /api/pickups items[].estimatedQuantity).
+  const { data, error } = await supabase
+    .from('pickup_items')
+    .select('scrap_type_id,estimated_quantity')
+    .eq('pickup_id', pickupId);
+
+  if (error) throw error;
+
+  const scrapTypeIds = [...new Set((data || []).map((it) => String(it.scrap_type_id)))];
+  const totalKg = (data || []).reduce((sum, it) => sum + (Number(it.estimated_quantity) || 0), 0);
+  return { scrapTypeIds, totalKg };
+}
+
+function capabilityExclusion(vendor, requirements) {
+  // Returns null when the vendor can take the pickup, else { reason, detail }.
+  if (!requirements) return null;
+
+  const accepted = acceptedScrapTypeIdsOf(vendor);
+  if (accepted) {
+    const missing = requirements.scrapTypeIds.filter((id) => !accepted.has(id));
+    if (missing.length) return { reason: 'scrap_type_not_accepted', detail: { scrap_type_ids: missing } };
+  }
+
+  const maxLoadKg = maxLoadKgOf(vendor);
+  if (maxLoadKg != null && requirements.totalKg > maxLoadKg) {
+    return { reason: 'over_capacity', detail: { load_kg: requirements.totalKg, max_load_kg: maxLoadKg } };
+  }
+
+  return null;
+}
+
+function validateCapabilities(body) {
+  // Accepts snake_case or camelCase keys; returns { error } or { row } with only the provided columns.
+  const rawTypes = body?.scrap_type_ids ?? body?.scrapTypeIds;
+  const rawMax = body?.max_load_kg ?? body?.maxLoadKg;
+  const row = {};
+
+  if (rawTypes !== undefined) {
+    if (rawTypes === null) {
+      row.accepted_scrap_type_ids = null;
+    } else if (!Array.isArray(rawTypes) || rawTypes.some((x) => typeof x !== 'string' || x.trim() === '')) {
+      return { error: 'scrap_type_ids must be an array of scrap type ids (or null for all types)' };
+    } else {
+      row.accepted_scrap_type_ids = [...new Set(rawTypes.map((x) => x.trim()))];
+    }
+  }
+
+  if (rawMax !== undefined) {
+    if (rawMax === null) {
+      row.max_load_kg = null;
+    } else if (typeof rawMax !== 'number' || !Number.isFinite(rawMax) || rawMax <= 0) {
+      return { error: 'max_load_kg must be a positive number (or null for no limit)' };
+    } else {
+      row.max_load_kg = rawMax;
+    }
+  }
+
+  return { row };
+}
+
+module.exports = {
+  fetchPickupRequirements,
+  capabilityExclusion,
+  validateCapabilities,
+};
@@ -0,0 +1,206 @@
+const { createServiceClient } = require('../supabase/client');
+
+// In-process spatial index of vendor positions (grid buckets of VENDOR_INDEX_CELL_KM).
+//
+// Only positions live here; availability, freshness and capabilities are still read from
+// vendor_backends for the handful of vendors the index returns, so the database stays the
+// source of truth. POST /api/vendor/location and /heartbeat update positions as they arrive.
+// Other backend instances pick those up on the next refresh (VENDOR_INDEX_REFRESH_SECONDS),
+// which reloads every position from the database.
+//
+// Until the first load completes the index is "cold" and dispatch uses a bounding-box query.
+
+const PAGE_SIZE = 1000;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const positions = new Map(); // vendorRef -> { lat, lon, cell }
+const cells = new Map(); // cellKey -> Set(vendorRef)
+
+let warm = false;
+let lastLoadedAt = null;
+let refreshTimer = null;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function cellKm() {
+  return envNumber('VENDOR_INDEX_CELL_KM', 2);
+}
+
+function cellDegrees() {
+  return cellKm() / KM_PER_DEGREE_LAT;
+}
+
+function haversineDistanceKm(lat1, lon1, lat2, lon2) {
+  function toRad(v) { return (v * Math.PI) / 180; }
+  const R = 6371; // km
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+function boundingBox(lat, lon, radiusKm) {
+  // Degrees covering radiusKm around (lat, lon); longitude degrees shrink towards the poles.
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const cos = Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  const dLon = Math.min(180, radiusKm / (KM_PER_DEGREE_LAT * cos));
+  return { minLat: lat - dLat, maxLat: lat + dLat, minLon: lon - dLon, maxLon: lon + dLon };
+}
+
+function cellOf(lat, lon) {
+  const size = cellDegrees();
+  return { row: Math.floor(lat / size), col: Math.floor(lon / size) };
+}
+
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+function positionOf(vendor) {
+  const lat = Number(vendor?.latitude ?? vendor?.last_latitude);
+  const lon = Number(vendor?.longitude ?? vendor?.last_longitude);
+  if (vendor?.latitude == null && vendor?.last_latitude == null) return null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+function removeVendor(vendorRef) {
+  const ref = String(vendorRef);
+  const prev = positions.get(ref);
+  if (!prev) return;
+  const bucket = cells.get(prev.cell);
+  if (bucket) {
+    bucket.delete(ref);
+    if (!bucket.size) cells.delete(prev.cell);
+  }
+  positions.delete(ref);
+}
+
+function upsertPosition(vendorRef, latitude, longitude) {
+  const ref = String(vendorRef);
+  const pos = positionOf({ latitude, longitude });
+  if (!pos) {
+    removeVendor(ref);
+    return;
+  }
+  const { row, col } = cellOf(pos.lat, pos.lon);
+  const key = cellKey(row, col);
+  const prev = positions.get(ref);
+  if (prev && prev.cell !== key) removeVendor(ref);
+
+  positions.set(ref, { lat: pos.lat, lon: pos.lon, cell: key });
+  if (!cells.has(key)) cells.set(key, new Set());
+  cells.get(key).add(ref);
+}
+
+function refsInBox(box) {
+  const size = cellDegrees();
+  const out = [];
+  const rowMin = Math.floor(box.minLat / size);
+  const rowMax = Math.floor(box.maxLat / size);
+  const colMin = Math.floor(box.minLon / size);
+  const colMax = Math.floor(box.maxLon / size);
+  // Few vendors relative to the box: scanning the populated cells is cheaper than walking the grid.
+  if ((rowMax - rowMin + 1) * (colMax - colMin + 1) > cells.size) {
+    for (const [key, bucket] of cells) {
+      const [row, col] = key.split(':').map(Number);
+      if (row >= rowMin && row <= rowMax && col >= colMin && col <= colMax) out.push(...bucket);
+    }
+    return out;
+  }
+  for (let row = rowMin; row <= rowMax; row += 1) {
+    for (let col = colMin; col <= colMax; col += 1) {
+      const bucket = cells.get(cellKey(row, col));
+      if (bucket) out.push(...bucket);
+    }
+  }
+  return out;
+}
+
+function withinRadius(lat, lon, radiusKm) {
+  // [{ vendorRef, distanceKm }] within radiusKm, nearest first.
+  const out = [];
+  for (const ref of refsInBox(boundingBox(lat, lon, radiusKm))) {
+    const p = positions.get(ref);
+    const distanceKm = haversineDistanceKm(lat, lon, p.lat, p.lon);
+    if (distanceKm <= radiusKm) out.push({ vendorRef: ref, distanceKm });
+  }
+  return out.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+function nearest(lat, lon, k, maxRadiusKm) {
+  // k nearest within maxRadiusKm: widen the search one cell at a time until k are found.
+  const step = cellKm();
+  for (let radius = Math.min(step, maxRadiusKm); ; radius = Math.min(radius + step, maxRadiusKm)) {
+    const found = withinRadius(lat, lon, radius);
+    if (found.length >= k || radius >= maxRadiusKm) return found.slice(0, k);
+  }
+}
+
+async function loadAll(supabase) {
+  // Rebuild from vendor_backends, a page at a time.
+  const next = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('vendor_backends')
+      .select('*')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const v of data || []) {
+      const ref = v.vendor_id || v.vendor_ref || v.id;
+      const pos = positionOf(v);
+      if (ref && pos) next.set(String(ref), pos);
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  positions.clear();
+  cells.clear();
+  for (const [ref, pos] of next) upsertPosition(ref, pos.lat, pos.lon);
+  warm = true;
+  lastLoadedAt = new Date().toISOString();
+  console.log(`[INDEX] vendor_index_loaded vendors=${positions.size} cells=${cells.size} cellKm=${cellKm()}`);
+  return positions.size;
+}
+
+function isWarm() {
+  return warm;
+}
+
+function stats() {
+  return { warm, vendors: positions.size, cells: cells.size, cellKm: cellKm(), lastLoadedAt };
+}
+
+function startVendorIndexRefresher() {
+  if (refreshTimer) return;
+  const run = () => {
+    let supabase;
+    try {
+      supabase = createServiceClient();
+    } catch (e) {
+      console.warn('[INDEX] refresher disabled:', e?.message || e);
+      return;
+    }
+    loadAll(supabase).catch((e) => console.warn('[INDEX] vendor_index_load_failed', e?.message || e));
+  };
+  run();
+  refreshTimer = setInterval(run, envNumber('VENDOR_INDEX_REFRESH_SECONDS', 60) * 1000);
+}
+
+module.exports = {
+  haversineDistanceKm,
+  boundingBox,
+  upsertPosition,
+  removeVendor,
+  withinRadius,
+  nearest,
+  loadAll,
+  isWarm,
+  stats,
+  startVendorIndexRefresher,
+};
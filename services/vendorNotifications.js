@@ -0,0 +1,186 @@
+const metrics = require('./metrics');
+const offerDelivery = require('./offerDelivery');
+const pickupEvents = require('./pickupEvents');
+
+// Durable vendor notices (supabase/migrations/020_vendor_notifications.sql).
+//
+// When an offer or an assignment is taken away from a vendor (pickup cancelled, customer retry,
+// pickup edited, another vendor won a broadcast) the vendor backend gets a signed callback at
+// POST /api/offer-notices, next to its /api/offer endpoint (never at /api/offer itself, so a notice
+// cannot be mistaken for a new offer):
+//   { type: offer_cancelled | assignment_cancelled | offer_withdrawn | assignment_withdrawn,
+//     vendor_id, request_id, pickupId, pickup_id, reason }
+// Each notice is stored in vendor_notifications before it is sent. A delivery that still fails
+// after offerDelivery's own retries stays PENDING and the dispatcher sweeper retries it with
+// backoff until it is DELIVERED or runs out of attempts (FAILED).
+
+const STATUS_PENDING = 'PENDING';
+const STATUS_DELIVERED = 'DELIVERED';
+const STATUS_FAILED = 'FAILED';
+
+const notificationsTotal = metrics.counter({
+  name: 'scrapco_vendor_notifications_total',
+  help: 'Vendor notices (offer/assignment cancelled or withdrawn) by type and delivery result.',
+  labelNames: ['type', 'result'],
+});
+
+function notifyConfig() {
+  const max = Number(process.env.VENDOR_NOTIFY_MAX_ATTEMPTS);
+  const backoff = String(process.env.VENDOR_NOTIFY_BACKOFF_SECONDS || '')
+    .split(',')
+    .map((v) => Number(v.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return {
+    maxAttempts: Number.isInteger(max) && max > 0 ? max : 6,
+    backoffSeconds: backoff.length ? backoff : [30, 120, 600, 1800, 3600],
+  };
+}
+
+const NOTICE_PATH = '/api/offer-notices';
+
+function noticeUrlFor(offerUrl) {
+  // The vendor's offer URL with the notice path; rows recorded with the offer URL are mapped too.
+  try {
+    const u = new URL(offerUrl);
+    const path = u.pathname.replace(/\/+$/, '');
+    u.pathname = path.endsWith('/api/offer') ? `${path.slice(0, -'/api/offer'.length)}${NOTICE_PATH}` : NOTICE_PATH;
+    u.search = '';
+    u.hash = '';
+    return u.toString();
+  } catch {
+    return offerUrl;
+  }
+}
+
+function nextAttemptIso(attempts, config) {
+  const i = Math.min(Math.max(attempts - 1, 0), config.backoffSeconds.length - 1);
+  return new Date(Date.now() + config.backoffSeconds[i] * 1000).toISOString();
+}
+
+async function attemptDelivery(supabase, row) {
+  // One delivery round (offerDelivery retries transient errors within it); updates the row.
+  const config = notifyConfig();
+  const attempts = (Number(row.attempts) || 0) + 1;
+  const now = new Date().toISOString();
+  let patch;
+  try {
+    await offerDelivery.deliverToVendor({
+      supabase,
+      url: noticeUrlFor(row.url),
+      vendorId: row.vendor_ref,
+      pickupId: row.pickup_id,
+      body: row.payload,
+    });
+    patch = { status: STATUS_DELIVERED, attempts, delivered_at: now, last_error: null, next_attempt_at: null, updated_at: now };
+    console.log(`[NOTIFY] delivered pickupId=${row.pickup_id} vendor_id=${row.vendor_ref} type=${row.type} attempts=${attempts}`);
+    notificationsTotal.inc({ type: row.type, result: 'delivered' });
+    pickupEvents.recordPickupEvent(supabase, row.pickup_id, 'vendor_notified', {
+      vendorRef: row.vendor_ref,
+      reason: row.reason,
+      detail: { type: row.type, attempts },
+    });
+  } catch (e) {
+    const giveUp = attempts >= config.maxAttempts;
+    const error = String(e?.message || e).slice(0, 500);
+    patch = {
+      status: giveUp ? STATUS_FAILED : STATUS_PENDING,
+      attempts,
+      last_error: error,
+      next_attempt_at: giveUp ? null : nextAttemptIso(attempts, config),
+      updated_at: now,
+    };
+    console.warn(
+      `[NOTIFY] delivery_failed pickupId=${row.pickup_id} vendor_id=${row.vendor_ref} type=${row.type} attempts=${attempts}/${config.maxAttempts} next=${patch.next_attempt_at || 'none'} error=${error}`
+    );
+    notificationsTotal.inc({ type: row.type, result: giveUp ? 'failed' : 'retrying' });
+    if (giveUp) {
+      pickupEvents.recordPickupEvent(supabase, row.pickup_id, 'vendor_notification_failed', {
+        vendorRef: row.vendor_ref,
+        reason: row.reason,
+        detail: { type: row.type, attempts, error },
+      });
+    }
+  }
+
+  if (row.id == null) return patch.status;
+  const { error: updErr } = await supabase.from('vendor_notifications').update(patch).eq('id', row.id);
+  if (updErr) console.warn(`[NOTIFY] record_failed id=${row.id} error=${updErr.message || updErr}`);
+  return patch.status;
+}
+
+async function notifyVendor(supabase, { pickupId, vendorRef, url, type, reason }) {
+  // Store the notice, then deliver it now; -> final status of this round.
+  const requestId = String(pickupId);
+  const payload = {
+    type,
+    vendor_id: String(vendorRef),
+    request_id: requestId,
+    pickupId: requestId,
+    pickup_id: requestId,
+    reason,
+  };
+  const now = new Date().toISOString();
+  const row = {
+    pickup_id: pickupId,
+    vendor_ref: String(vendorRef),
+    type,
+    reason: reason || null,
+    url: noticeUrlFor(url),
+    payload,
+    status: STATUS_PENDING,
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now,
+    updated_at: now,
+  };
+
+  const { data, error } = await supabase.from('vendor_notifications').insert([row]).select('*').single();
+  if (error) {
+    // Without the table the notice is still sent once, just not recorded or retried later.
+    console.warn(`[NOTIFY] record_failed pickupId=${pickupId} vendor_id=${vendorRef} type=${type} error=${error.message || error}`);
+    return attemptDelivery(supabase, row);
+  }
+  return attemptDelivery(supabase, data);
+}
+
+async function retryDueNotificationsOnce(supabase, limit = 25) {
+  // Sweeper: redeliver PENDING notices whose next attempt is due.
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('vendor_notifications')
+    .select('*')
+    .eq('status', STATUS_PENDING)
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+  if (error) {
+    if (!/relation .*vendor_notifications.* does not exist/i.test(error.message || '')) {
+      console.warn('[NOTIFY] retry_query_failed', error.message || error);
+    }
+    return;
+  }
+
+  for (const row of data || []) {
+    // Claim by pushing next_attempt_at forward, so only one instance retries a notice.
+    const lease = new Date(Date.now() + 5 * 60 * 1000).toISOString();
+    const { data: claimed, error: claimErr } = await supabase
+      .from('vendor_notifications')
+      .update({ next_attempt_at: lease })
+      .eq('id', row.id)
+      .eq('status', STATUS_PENDING)
+      .eq('next_attempt_at', row.next_attempt_at)
+      .select('*')
+      .maybeSingle();
+    if (claimErr || !claimed) continue;
+    await attemptDelivery(supabase, claimed);
+  }
+}
+
+module.exports = {
+  STATUS_PENDING,
+  STATUS_DELIVERED,
+  STATUS_FAILED,
+  NOTICE_PATH,
+  notifyVendor,
+  retryDueNotificationsOnce,
+};
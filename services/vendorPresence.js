@@ -0,0 +1,82 @@
+const { createServiceClient } = require('../supabase/client');
+
+// Vendor presence: vendors heartbeat via POST /api/vendor/location or /heartbeat.
+// A vendor whose last heartbeat is older than VENDOR_STALE_AFTER_SECONDS is treated as
+// offline by dispatch, and the presence sweeper flips it to unavailable (offline_reason='stale').
+
+let presenceTimer = null;
+
+function staleAfterSeconds() {
+  const n = Number(process.env.VENDOR_STALE_AFTER_SECONDS || 300);
+  return Number.isFinite(n) && n > 0 ? n : 300;
+}
+
+function lastSeenOf(vendor) {
+  return vendor?.last_heartbeat_at || vendor?.updated_at || null;
+}
+
+function isVendorFresh(vendor, now = Date.now()) {
+  const seen = lastSeenOf(vendor);
+  if (!seen) return false;
+  const seenMs = new Date(seen).getTime();
+  if (!Number.isFinite(seenMs)) return false;
+  return now - seenMs <= staleAfterSeconds() * 1000;
+}
+
+async function markStaleVendorsOnce(supabase) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - staleAfterSeconds() * 1000).toISOString();
+
+  let data;
+  let error;
+
+  ({ data, error } = await supabase
+    .from('vendor_backends')
+    .update({ is_available: false, offline_reason: 'stale', went_offline_at: now.toISOString() })
+    .eq('is_available', true)
+    .or(`last_heartbeat_at.lt."${cutoff}",and(last_heartbeat_at.is.null,updated_at.lt."${cutoff}")`)
+    .select('*'));
+
+  // Back-compat for older schema that uses `active` and has no presence columns
+  if (error && /column .*(is_available|last_heartbeat_at|offline_reason).*does not exist/i.test(error.message || '')) {
+    ({ data, error } = await supabase
+      .from('vendor_backends')
+      .update({ active: false })
+      .eq('active', true)
+      .lt('updated_at', cutoff)
+      .select('*'));
+  }
+
+  if (error) {
+    console.warn('[PRESENCE] stale_vendor_sweep_failed', error.message || error);
+    return [];
+  }
+
+  for (const v of data || []) {
+    console.log(`[PRESENCE] vendor_marked_offline vendor_id=${v.vendor_id || v.vendor_ref} reason=stale lastSeen=${lastSeenOf(v)}`);
+  }
+  return data || [];
+}
+
+function startVendorPresenceSweeper() {
+  if (presenceTimer) return;
+  const everyMs = Math.max(15, Math.min(60, Math.floor(staleAfterSeconds() / 2))) * 1000;
+  presenceTimer = setInterval(() => {
+    let supabase;
+    try {
+      supabase = createServiceClient();
+    } catch (e) {
+      console.warn('[PRESENCE] sweeper disabled:', e?.message || e);
+      return;
+    }
+    markStaleVendorsOnce(supabase).catch((e) => console.warn('[PRESENCE] sweeper error', e?.message || e));
+  }, everyMs);
+}
+
+module.exports = {
+  staleAfterSeconds,
+  lastSeenOf,
+  isVendorFresh,
+  markStaleVendorsOnce,
+  startVendorPresenceSweeper,
+};
@@ -0,0 +1,152 @@
+// Multi-factor vendor ranking.
+//
+// Each factor is normalised to 0..1 (1 = better) and combined as a weighted average:
+// - distance:   closer to the pickup (relative to the policy radius)
+// - acceptance: historical share of offers the vendor accepted (and did not release afterwards)
+// - timeout:    1 - share of offers the vendor let expire
+//   (both over offers the vendor could answer: withdrawn offers, e.g. broadcast races lost to
+//   another vendor, are not counted against it)
+// - rejection:  fewer recent rows in pickup_vendor_rejections
+// - freshness:  how recently the vendor last reported in (last_heartbeat_at, else updated_at)
+//
+// Rates are smoothed towards a prior so a vendor with 1 offer isn't ranked on a single outcome.
+// Weights come from the dispatch policy (env DISPATCH_WEIGHT_* or dispatch_policies.weights).
+
+const DEFAULT_WEIGHTS = {
+  distance: 1,
+  acceptance: 0.5,
+  timeout: 0.8,
+  rejection: 0.3,
+  freshness: 0.3,
+};
+
+const PRIOR_OFFERS = 5;
+const PRIOR_ACCEPTANCE_RATE = 0.5;
+const PRIOR_TIMEOUT_RATE = 0.2;
+const REJECTION_LOOKBACK_DAYS = 30;
+const REJECTIONS_FOR_ZERO_SCORE = 5;
+const FRESHNESS_ZERO_AFTER_SECONDS = 30 * 60;
+
+function parseWeights(source, base = DEFAULT_WEIGHTS) {
+  // Accepts an object ({ distance: 1, ... }) or env-style getters; ignores invalid values.
+  const out = { ...base };
+  if (!source) return out;
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    const n = Number(source[key]);
+    if (source[key] != null && source[key] !== '' && Number.isFinite(n) && n >= 0) out[key] = n;
+  }
+  return out;
+}
+
+function weightsFromEnv(env = process.env) {
+  return parseWeights({
+    distance: env.DISPATCH_WEIGHT_DISTANCE,
+    acceptance: env.DISPATCH_WEIGHT_ACCEPTANCE,
+    timeout: env.DISPATCH_WEIGHT_TIMEOUT,
+    rejection: env.DISPATCH_WEIGHT_REJECTION,
+    freshness: env.DISPATCH_WEIGHT_FRESHNESS,
+  });
+}
+
+function smoothedRate(hits, total, prior) {
+  return (hits + prior * PRIOR_OFFERS) / (total + PRIOR_OFFERS);
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function scoreVendor({ distanceKm, maxRadiusKm, stats, recentRejections, updatedAt, now = Date.now(), weights }) {
+  const w = weights || DEFAULT_WEIGHTS;
+  const sent = Number(stats?.offers_sent) || 0;
+  const withdrawn = Number(stats?.offers_withdrawn) || 0;
+  const decided = Math.max(sent - withdrawn, 0);
+  // A released pickup (POST /api/vendor/release) was accepted but not kept.
+  const released = Number(stats?.offers_released) || 0;
+  const kept = Math.max((Number(stats?.offers_accepted) || 0) - released, 0);
+
+  const factors = {
+    distance: Number.isFinite(distanceKm) && maxRadiusKm > 0 ? 1 - Math.min(distanceKm / maxRadiusKm, 1) : 0,
+    acceptance: smoothedRate(kept, decided, PRIOR_ACCEPTANCE_RATE),
+    timeout: 1 - smoothedRate(Number(stats?.offers_timed_out) || 0, decided, PRIOR_TIMEOUT_RATE),
+    rejection: 1 - Math.min((Number(recentRejections) || 0) / REJECTIONS_FOR_ZERO_SCORE, 1),
+    freshness: 0,
+  };
+
+  const updatedMs = updatedAt ? new Date(updatedAt).getTime() : NaN;
+  if (Number.isFinite(updatedMs)) {
+    const ageSeconds = Math.max(0, (now - updatedMs) / 1000);
+    factors.freshness = 1 - Math.min(ageSeconds / FRESHNESS_ZERO_AFTER_SECONDS, 1);
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const key of Object.keys(factors)) {
+    weighted += (w[key] || 0) * factors[key];
+    totalWeight += w[key] || 0;
+  }
+
+  const score = totalWeight > 0 ? weighted / totalWeight : 0;
+  const breakdown = {};
+  for (const key of Object.keys(factors)) breakdown[key] = round3(factors[key]);
+
+  return {
+    score: round3(score),
+    breakdown: { ...breakdown, offers_seen: sent, offers_withdrawn: withdrawn, offers_released: released, recent_rejections: Number(recentRejections) || 0, weights: w },
+  };
+}
+
+async function fetchVendorSignals(supabase, vendorRefs) {
+  // Best-effort: missing tables (migrations not applied yet) just mean "no history".
+  const refs = [...new Set((vendorRefs || []).map((r) => String(r)))];
+  const stats = new Map();
+  const rejections = new Map();
+  if (!refs.length) return { stats, rejections };
+
+  try {
+    const { data, error } = await supabase.from('vendor_dispatch_stats').select('*').in('vendor_ref', refs);
+    if (error) console.warn('[DISPATCH] vendor_stats_query_failed', error.message || error);
+    for (const row of data || []) stats.set(String(row.vendor_ref), row);
+  } catch (e) {
+    console.warn('[DISPATCH] vendor_stats_query_failed', e?.message || e);
+  }
+
+  try {
+    const since = new Date(Date.now() - REJECTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('pickup_vendor_rejections')
+      .select('vendor_ref')
+      .in('vendor_ref', refs)
+      .gte('rejected_at', since)
+      .limit(5000);
+    if (error) console.warn('[DISPATCH] vendor_rejections_query_failed', error.message || error);
+    for (const row of data || []) {
+      const ref = String(row.vendor_ref);
+      rejections.set(ref, (rejections.get(ref) || 0) + 1);
+    }
+  } catch (e) {
+    console.warn('[DISPATCH] vendor_rejections_query_failed', e?.message || e);
+  }
+
+  return { stats, rejections };
+}
+
+function recordVendorOutcome(supabase, vendorRef, outcome) {
+  // Fire-and-forget counter bump; outcome is one of sent|accepted|rejected|timed_out|failed|withdrawn|released.
+  if (!vendorRef) return;
+  Promise.resolve()
+    .then(() => supabase.rpc('bump_vendor_dispatch_stat', { p_vendor_ref: String(vendorRef), p_outcome: outcome }))
+    .then(({ error } = {}) => {
+      if (error) console.warn(`[DISPATCH] vendor_stat_bump_failed vendor_id=${vendorRef} outcome=${outcome} error=${error.message || error}`);
+    })
+    .catch((e) => console.warn(`[DISPATCH] vendor_stat_bump_failed vendor_id=${vendorRef} outcome=${outcome} error=${e?.message || e}`));
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  weightsFromEnv,
+  scoreVendor,
+  fetchVendorSignals,
+  recordVendorOutcome,
+};
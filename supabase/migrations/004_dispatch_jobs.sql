@@ -0,0 +1,86 @@
+-- ScrapCo (Customer Backend) - Durable dispatch queue
+-- Apply this in Supabase SQL editor AFTER 003_pickup_vendor_rejections.sql
+--
+-- Purpose:
+-- - Persist each pickup's dispatch job (candidate order, attempts, offer deadline)
+-- - Let backend instances claim jobs with time-limited leases so that only one
+--   instance sends offers for a given pickup
+-- - Allow a restarted/crashed instance's work to resume at the exact candidate
+
+create table if not exists public.dispatch_jobs (
+  pickup_id uuid primary key references public.pickups(id) on delete cascade,
+  -- active    = needs work (offer the candidate at current_index)
+  -- waiting   = an offer is out; resume once offer_deadline passes
+  -- done      = assigned / cancelled / otherwise finished
+  -- exhausted = every candidate was tried
+  status text not null default 'active' check (status in ('active', 'waiting', 'done', 'exhausted')),
+  candidates jsonb not null default '[]'::jsonb,
+  current_index integer not null default 0,
+  attempts jsonb not null default '[]'::jsonb,
+  offer_deadline timestamptz,
+  lease_owner text,
+  -- New on every claim; progress writes must match it, so a worker whose lease was
+  -- taken over (even by a later claim of the same worker) can no longer write.
+  lease_token uuid,
+  lease_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_dispatch_jobs_status_deadline
+  on public.dispatch_jobs(status, offer_deadline);
+
+-- Claim a single job if it is unleased, already ours, or its lease has expired.
+create or replace function public.claim_dispatch_job(
+  p_pickup_id uuid,
+  p_worker text,
+  p_lease_seconds integer
+)
+returns setof public.dispatch_jobs
+language sql
+as $$
+  update public.dispatch_jobs
+     set lease_owner = p_worker,
+         lease_token = gen_random_uuid(),
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+         updated_at = now()
+   where pickup_id = p_pickup_id
+     and status in ('active', 'waiting')
+     and (lease_owner is null or lease_owner = p_worker or lease_expires_at < now())
+  returning *;
+$$;
+
+-- Claim jobs that need attention: expired offers, or active jobs nobody holds
+-- (e.g. the instance that was dispatching them crashed).
+create or replace function public.claim_due_dispatch_jobs(
+  p_worker text,
+  p_lease_seconds integer,
+  p_limit integer
+)
+returns setof public.dispatch_jobs
+language sql
+as $$
+  with due as (
+    select pickup_id
+      from public.dispatch_jobs
+     where (status = 'active' or (status = 'waiting' and offer_deadline < now()))
+       and (lease_owner is null or lease_expires_at < now())
+     order by updated_at asc
+     limit p_limit
+     for update skip locked
+  )
+  update public.dispatch_jobs j
+     set lease_owner = p_worker,
+         lease_token = gen_random_uuid(),
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+         updated_at = now()
+    from due
+   where j.pickup_id = due.pickup_id
+  returning j.*;
+$$;
+
+-- Note: like vendor_backends, dispatch_jobs is only accessed by the backend (service role).
+alter table public.dispatch_jobs enable row level security;
+
+revoke execute on function public.claim_dispatch_job(uuid, text, integer) from public, anon, authenticated;
+revoke execute on function public.claim_due_dispatch_jobs(text, integer, integer) from public, anon, authenticated;
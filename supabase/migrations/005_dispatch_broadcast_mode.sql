@@ -0,0 +1,58 @@
+-- ScrapCo (Customer Backend) - Broadcast offer mode
+-- Apply this in Supabase SQL editor AFTER 004_dispatch_jobs.sql
+--
+-- Adds:
+-- - dispatch_jobs.mode / batch_size so in-flight jobs keep the mode they started with
+-- - accept_broadcast_offer RPC: first vendor to accept an outstanding broadcast offer wins
+--
+-- In broadcast mode an offer window is open while pickups.assignment_expires_at is set
+-- and pickups.assigned_vendor_ref is NULL; the offered vendors are the dispatch_jobs
+-- attempts with outcome = 'offered'.
+
+alter table public.dispatch_jobs
+  add column if not exists mode text not null default 'sequential';
+
+alter table public.dispatch_jobs
+  add column if not exists batch_size integer not null default 1;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'dispatch_jobs_mode_check'
+  ) then
+    alter table public.dispatch_jobs
+      add constraint dispatch_jobs_mode_check check (mode in ('sequential', 'broadcast'));
+  end if;
+end $$;
+
+-- Single conditional UPDATE: concurrent acceptances serialize on the pickup row and
+-- only the first one still sees assigned_vendor_ref IS NULL.
+create or replace function public.accept_broadcast_offer(
+  p_pickup_id uuid,
+  p_vendor_ref text
+)
+returns table (id uuid, status text, assigned_vendor_ref text)
+language sql
+as $$
+  update public.pickups p
+     set status = 'ASSIGNED',
+         assigned_vendor_ref = p_vendor_ref,
+         assignment_expires_at = null
+   where p.id = p_pickup_id
+     and p.status = 'FINDING_VENDOR'
+     and p.assigned_vendor_ref is null
+     and p.assignment_expires_at >= now()
+     and exists (
+       select 1
+         from public.dispatch_jobs j,
+              jsonb_array_elements(j.attempts) a
+        where j.pickup_id = p.id
+          and j.mode = 'broadcast'
+          and a->>'vendor_ref' = p_vendor_ref
+          and a->>'outcome' = 'offered'
+     )
+  returning p.id, p.status::text, p.assigned_vendor_ref;
+$$;
+
+-- Called by the backend only (service role).
+revoke execute on function public.accept_broadcast_offer(uuid, text) from public, anon, authenticated;
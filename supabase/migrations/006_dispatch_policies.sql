@@ -0,0 +1,30 @@
+-- ScrapCo (Customer Backend) - Dispatch policies
+-- Apply this in Supabase SQL editor AFTER 005_dispatch_broadcast_mode.sql
+--
+-- Adds:
+-- - dispatch_policies: named policies selected with DISPATCH_POLICY_NAME (NULL columns fall back to env)
+-- - dispatch_jobs.policy: snapshot of the policy a job started with
+
+create table if not exists public.dispatch_policies (
+  name text primary key,
+  mode text check (mode in ('sequential', 'broadcast')),
+  broadcast_size integer check (broadcast_size > 0),
+  offer_ttl_seconds integer check (offer_ttl_seconds > 0),
+  max_radius_km numeric check (max_radius_km > 0),
+  max_candidates integer check (max_candidates > 0),
+  -- e.g. '{3,7,15}': offer vendors within 3 km first, then 7 km, then 15 km
+  rings_km numeric[],
+  is_active boolean not null default true,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- Backend only: read with the service role.
+alter table public.dispatch_policies enable row level security;
+
+alter table public.dispatch_jobs
+  add column if not exists policy jsonb;
+
+-- Example:
+-- insert into public.dispatch_policies (name, offer_ttl_seconds, max_radius_km, max_candidates, rings_km)
+-- values ('default', 120, 15, 20, '{3,7,15}');
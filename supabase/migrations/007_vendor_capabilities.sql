@@ -0,0 +1,16 @@
+-- ScrapCo (Customer Backend) - Vendor capabilities
+-- Apply this in Supabase SQL editor AFTER 006_dispatch_policies.sql
+--
+-- Adds:
+-- - vendor_backends.accepted_scrap_type_ids: scrap types the vendor handles (NULL = accepts all)
+-- - vendor_backends.max_load_kg: largest pickup the vendor can carry (NULL = no limit)
+-- - dispatch_jobs.exclusions: vendors left out of a job's candidate list, with the reason
+
+alter table public.vendor_backends
+  add column if not exists accepted_scrap_type_ids uuid[];
+
+alter table public.vendor_backends
+  add column if not exists max_load_kg numeric check (max_load_kg is null or max_load_kg > 0);
+
+alter table public.dispatch_jobs
+  add column if not exists exclusions jsonb not null default '[]'::jsonb;
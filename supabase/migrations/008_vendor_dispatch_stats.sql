@@ -0,0 +1,57 @@
+-- ScrapCo (Customer Backend) - Vendor reliability stats for ranking
+-- Apply this in Supabase SQL editor AFTER 007_vendor_capabilities.sql
+--
+-- Adds:
+-- - vendor_dispatch_stats: per-vendor offer outcome counters (acceptance / timeout rates);
+--   offers_withdrawn counts offers we took back (broadcast lost to another vendor, pickup
+--   cancelled or edited), which say nothing about the vendor and are left out of its rates
+-- - bump_vendor_dispatch_stat RPC: atomic counter increment
+-- - dispatch_policies.weights: ranking weights override (see services/vendorScoring.js)
+
+create table if not exists public.vendor_dispatch_stats (
+  vendor_ref text primary key,
+  offers_sent integer not null default 0,
+  offers_accepted integer not null default 0,
+  offers_rejected integer not null default 0,
+  offers_timed_out integer not null default 0,
+  offers_failed integer not null default 0,
+  offers_withdrawn integer not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.vendor_dispatch_stats
+  add column if not exists offers_withdrawn integer not null default 0;
+
+create or replace function public.bump_vendor_dispatch_stat(
+  p_vendor_ref text,
+  p_outcome text
+)
+returns void
+language plpgsql
+as $$
+begin
+  insert into public.vendor_dispatch_stats (vendor_ref) values (p_vendor_ref)
+  on conflict (vendor_ref) do nothing;
+
+  update public.vendor_dispatch_stats
+     set offers_sent      = offers_sent      + case when p_outcome = 'sent'      then 1 else 0 end,
+         offers_accepted  = offers_accepted  + case when p_outcome = 'accepted'  then 1 else 0 end,
+         offers_rejected  = offers_rejected  + case when p_outcome = 'rejected'  then 1 else 0 end,
+         offers_timed_out = offers_timed_out + case when p_outcome = 'timed_out' then 1 else 0 end,
+         offers_failed    = offers_failed    + case when p_outcome = 'failed'    then 1 else 0 end,
+         offers_withdrawn = offers_withdrawn + case when p_outcome = 'withdrawn' then 1 else 0 end,
+         updated_at = now()
+   where vendor_ref = p_vendor_ref;
+end;
+$$;
+
+create index if not exists idx_pickup_vendor_rejections_vendor_ref
+  on public.pickup_vendor_rejections(vendor_ref, rejected_at);
+
+alter table public.dispatch_policies
+  add column if not exists weights jsonb;
+
+-- Note: like vendor_backends, these tables are only accessed by the backend (service role).
+alter table public.vendor_dispatch_stats enable row level security;
+
+revoke execute on function public.bump_vendor_dispatch_stat(text, text) from public, anon, authenticated;
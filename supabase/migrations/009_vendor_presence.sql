@@ -0,0 +1,25 @@
+-- ScrapCo (Customer Backend) - Vendor presence heartbeat
+-- Apply this in Supabase SQL editor AFTER 008_vendor_dispatch_stats.sql
+--
+-- Adds:
+-- - vendor_backends.last_heartbeat_at: last /location or /heartbeat from the vendor backend
+-- - vendor_backends.offline_reason: why the vendor is unavailable
+--     'vendor' = vendor switched itself off (POST /api/vendor/availability); heartbeats don't undo it
+--     'stale'  = no heartbeat within VENDOR_STALE_AFTER_SECONDS; the next heartbeat brings it back
+-- - vendor_backends.went_offline_at
+
+alter table public.vendor_backends
+  add column if not exists last_heartbeat_at timestamptz;
+
+alter table public.vendor_backends
+  add column if not exists offline_reason text check (offline_reason in ('vendor', 'stale'));
+
+alter table public.vendor_backends
+  add column if not exists went_offline_at timestamptz;
+
+update public.vendor_backends
+   set last_heartbeat_at = updated_at
+ where last_heartbeat_at is null;
+
+create index if not exists idx_vendor_backends_heartbeat
+  on public.vendor_backends(last_heartbeat_at);
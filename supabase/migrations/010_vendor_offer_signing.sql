@@ -0,0 +1,44 @@
+-- ScrapCo (Customer Backend) - Signed outbound offers
+-- Apply this in Supabase SQL editor AFTER 009_vendor_presence.sql
+--
+-- Adds:
+-- - vendor_signing_secrets: per-vendor HMAC secret used to sign offers and other callbacks we
+--   send to the vendor backend (see vendor/security.js verifyOutboundSignature).
+--   Kept out of vendor_backends (which has no RLS) and readable by the service role only.
+--   A vendor without a row gets nothing delivered, unless VENDOR_OFFER_SIGNING=transitional.
+--
+-- Rollout for existing vendors:
+-- 1) apply this migration and set VENDOR_OFFER_SIGNING=transitional (unsigned offers still go out);
+-- 2) POST /api/admin/vendors/signing-secrets/provision (returns each new secret once) and share
+--    the secrets with the vendor backends;
+-- 3) once every vendor verifies signatures, set VENDOR_OFFER_SIGNING=required (the default).
+--
+-- Rotate one vendor with POST /api/admin/vendors/:vendorRef/signing-secret (returns the new secret once).
+
+create table if not exists public.vendor_signing_secrets (
+  vendor_ref text primary key,
+  secret text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.vendor_signing_secrets enable row level security;
+-- No policies: only the service role (which bypasses RLS) may read or write secrets.
+revoke all on table public.vendor_signing_secrets from anon, authenticated;
+
+-- Earlier revisions of this migration kept the secret on vendor_backends; move it and drop the column.
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'vendor_backends' and column_name = 'offer_signing_secret'
+  ) then
+    insert into public.vendor_signing_secrets (vendor_ref, secret)
+    select vendor_ref, offer_signing_secret
+    from public.vendor_backends
+    where offer_signing_secret is not null
+    on conflict (vendor_ref) do nothing;
+
+    alter table public.vendor_backends drop column offer_signing_secret;
+  end if;
+end $$;
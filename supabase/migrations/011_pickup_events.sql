@@ -0,0 +1,47 @@
+-- ScrapCo (Customer Backend) - Pickup event journal
+-- Apply this in Supabase SQL editor AFTER 010_vendor_offer_signing.sql
+--
+-- Adds:
+-- - pickup_events: append-only journal of lifecycle transitions and dispatch events
+--   (written by the backend with the service role; see services/pickupEvents.js)
+-- - RLS: customers can read customer_visible events of their own pickups, and only the
+--   sanitized columns (no vendor_ref / detail). The admin timeline reads everything.
+
+create table if not exists public.pickup_events (
+  id bigserial primary key,
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  event_type text not null,
+  actor text not null default 'system',
+  vendor_ref text,
+  reason text,
+  status text,
+  detail jsonb,
+  customer_visible boolean not null default false,
+  created_at timestamptz not null default now(),
+  constraint pickup_events_actor_check check (actor in ('customer', 'vendor', 'system', 'admin'))
+);
+
+create index if not exists idx_pickup_events_pickup_created
+  on public.pickup_events(pickup_id, created_at, id);
+
+alter table public.pickup_events enable row level security;
+
+drop policy if exists "pickup_events_select_own" on public.pickup_events;
+create policy "pickup_events_select_own"
+on public.pickup_events
+for select
+to authenticated
+using (
+  customer_visible
+  and exists (
+    select 1
+    from public.pickups p
+    where p.id = pickup_events.pickup_id
+      and p.customer_id = auth.uid()
+  )
+);
+
+-- Column-level grant: customers never see which vendor was offered, or raw dispatch detail.
+revoke all on public.pickup_events from anon, authenticated;
+grant select (id, pickup_id, event_type, actor, reason, status, created_at)
+  on public.pickup_events to authenticated;
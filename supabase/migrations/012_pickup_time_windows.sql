@@ -0,0 +1,38 @@
+-- ScrapCo (Customer Backend) - Time-slot windows and scheduled dispatch
+-- Apply this in Supabase SQL editor AFTER 011_pickup_events.sql
+--
+-- Adds:
+-- - pickups.window_start / window_end: the customer's time slot as a real window (service timezone
+--   is applied by the backend; see services/timeSlots.js). NULL = "Anytime", dispatched immediately.
+-- - pickup status values:
+--   SCHEDULED: held until DISPATCH_SCHEDULE_LEAD_MINUTES before window_start
+--   EXPIRED:   window_end passed without a vendor being assigned (needs attention)
+-- - dispatch_policies.schedule_lead_minutes: per-policy lead time override
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'pickup_status') THEN
+    BEGIN
+      ALTER TYPE pickup_status ADD VALUE IF NOT EXISTS 'SCHEDULED';
+    EXCEPTION WHEN duplicate_object THEN
+      -- ignore
+    END;
+    BEGIN
+      ALTER TYPE pickup_status ADD VALUE IF NOT EXISTS 'EXPIRED';
+    EXCEPTION WHEN duplicate_object THEN
+      -- ignore
+    END;
+  END IF;
+END $$;
+
+alter table public.pickups
+  add column if not exists window_start timestamptz,
+  add column if not exists window_end timestamptz,
+  add column if not exists expired_at timestamptz;
+
+-- Sweeper lookups: scheduled pickups due for release, open pickups whose window ended.
+create index if not exists idx_pickups_status_window_start on public.pickups(status, window_start);
+create index if not exists idx_pickups_status_window_end on public.pickups(status, window_end);
+
+alter table public.dispatch_policies
+  add column if not exists schedule_lead_minutes integer check (schedule_lead_minutes >= 0);
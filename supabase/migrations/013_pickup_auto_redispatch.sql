@@ -0,0 +1,21 @@
+-- ScrapCo (Customer Backend) - Automatic re-dispatch of NO_VENDOR_AVAILABLE pickups
+-- Apply this in Supabase SQL editor AFTER 012_pickup_time_windows.sql
+--
+-- Adds:
+-- - pickups.redispatch_attempts: automatic retries already made (reset by a customer retry)
+-- - pickups.next_redispatch_at: when the dispatcher sweeper searches again; NULL = no retries left
+-- - dispatch_policies.redispatch_backoff_seconds / redispatch_max_attempts: per-policy retry schedule
+--   (env: DISPATCH_REDISPATCH_BACKOFF_SECONDS, DISPATCH_REDISPATCH_MAX_ATTEMPTS)
+
+alter table public.pickups
+  add column if not exists redispatch_attempts integer not null default 0,
+  add column if not exists next_redispatch_at timestamptz;
+
+-- Sweeper lookup: waiting pickups whose retry is due.
+create index if not exists idx_pickups_next_redispatch
+  on public.pickups(next_redispatch_at)
+  where status = 'NO_VENDOR_AVAILABLE' and next_redispatch_at is not null;
+
+alter table public.dispatch_policies
+  add column if not exists redispatch_backoff_seconds integer[],
+  add column if not exists redispatch_max_attempts integer check (redispatch_max_attempts >= 0);
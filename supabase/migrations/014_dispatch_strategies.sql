@@ -0,0 +1,13 @@
+-- ScrapCo (Customer Backend) - Dispatch strategy per policy and per service zone
+-- Apply this in Supabase SQL editor AFTER 013_pickup_auto_redispatch.sql
+--
+-- Adds:
+-- - dispatch_policies.strategy: strategy name from services/dispatchStrategy.js ('nearest', 'best_score')
+-- - dispatch_policies.zone_strategies: per-zone overrides, first matching zone wins, e.g.
+--   [{"zone": "north", "strategy": "best_score", "center": [28.70, 77.10], "radiusKm": 6},
+--    {"zone": "east", "strategy": "nearest", "bbox": {"minLat": 28.5, "maxLat": 28.7, "minLon": 77.25, "maxLon": 77.4}}]
+-- (env: DISPATCH_STRATEGY, DISPATCH_STRATEGY_ZONES)
+
+alter table public.dispatch_policies
+  add column if not exists strategy text,
+  add column if not exists zone_strategies jsonb;
@@ -0,0 +1,32 @@
+-- ScrapCo (Customer Backend) - Vendor-driven fulfilment after assignment
+-- Apply this in Supabase SQL editor AFTER 014_dispatch_strategies.sql
+--
+-- Adds:
+-- - pickup status values EN_ROUTE and ARRIVED (ASSIGNED -> EN_ROUTE -> ARRIVED -> COMPLETED),
+--   driven by the assigned vendor via POST /api/vendor/en-route, /arrived, /complete
+-- - pickups.en_route_at / arrived_at (completed_at already exists)
+-- - pickup_items.actual_weight is written on completion (created here if missing)
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'pickup_status') THEN
+    BEGIN
+      ALTER TYPE pickup_status ADD VALUE IF NOT EXISTS 'EN_ROUTE';
+    EXCEPTION WHEN duplicate_object THEN
+      -- ignore
+    END;
+    BEGIN
+      ALTER TYPE pickup_status ADD VALUE IF NOT EXISTS 'ARRIVED';
+    EXCEPTION WHEN duplicate_object THEN
+      -- ignore
+    END;
+  END IF;
+END $$;
+
+alter table public.pickups
+  add column if not exists en_route_at timestamptz,
+  add column if not exists arrived_at timestamptz,
+  add column if not exists completed_at timestamptz;
+
+alter table public.pickup_items
+  add column if not exists actual_weight numeric;
@@ -0,0 +1,58 @@
+-- ScrapCo (Customer Backend) - Settlement records for completed pickups
+-- Apply this in Supabase SQL editor AFTER 015_pickup_fulfilment.sql
+--
+-- One immutable row per completed pickup: the customer payout computed from
+-- pickup_items.actual_weight x the scrap_rates row that was effective when the pickup was created.
+-- line_items snapshots every item with its rate, so later rate changes never alter a settlement.
+--
+-- line_items: [{ pickup_item_id, scrap_type_id, scrap_type_name, actual_weight,
+--                rate_id, rate_per_kg, rate_effective_from, amount }]
+-- (rate_per_kg NULL and amount 0 when no rate existed for the type; counted in unpriced_items)
+
+create table if not exists public.pickup_settlements (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null unique references public.pickups(id) on delete restrict,
+  vendor_ref text,
+  currency text not null default 'INR',
+  total_weight numeric not null,
+  total_amount numeric(12, 2) not null,
+  unpriced_items integer not null default 0,
+  rates_as_of timestamptz not null,
+  line_items jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+-- Immutable: corrections are a new record type, never an edit.
+create or replace function public.pickup_settlements_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'pickup_settlements rows are immutable';
+end;
+$$;
+
+drop trigger if exists trg_pickup_settlements_immutable on public.pickup_settlements;
+create trigger trg_pickup_settlements_immutable
+before update or delete on public.pickup_settlements
+for each row execute function public.pickup_settlements_immutable();
+
+alter table public.pickup_settlements enable row level security;
+
+drop policy if exists "pickup_settlements_select_own" on public.pickup_settlements;
+create policy "pickup_settlements_select_own"
+on public.pickup_settlements
+for select
+to authenticated
+using (
+  exists (
+    select 1
+    from public.pickups p
+    where p.id = pickup_settlements.pickup_id
+      and p.customer_id = auth.uid()
+  )
+);
+
+-- Rate lookups by type and effective time.
+create index if not exists idx_scrap_rates_type_effective
+  on public.scrap_rates(scrap_type_id, effective_from desc);
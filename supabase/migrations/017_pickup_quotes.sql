@@ -0,0 +1,38 @@
+-- ScrapCo (Customer Backend) - Price quotes for prospective pickups
+-- Apply this in Supabase SQL editor AFTER 016_pickup_settlements.sql
+--
+-- POST /api/pickups/quote prices the pickup items at the current active rates and stores the
+-- quote here; POST /api/pickups accepts { quoteId } to attach it to the pickup it creates.
+-- Quotes are written by the backend (service role) only, so customers cannot alter amounts.
+--
+-- line_items: [{ scrap_type_id, scrap_type_name, estimated_quantity, status,
+--                rate_id, rate_per_kg, rate_effective_from, amount }]
+-- (status: priced | unknown_scrap_type | no_active_rate; unpriced items have amount 0)
+
+create table if not exists public.pickup_quotes (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null,
+  currency text not null default 'INR',
+  total_quantity numeric not null,
+  total_amount numeric(12, 2) not null,
+  unpriced_items integer not null default 0,
+  line_items jsonb not null,
+  expires_at timestamptz not null,
+  pickup_id uuid unique references public.pickups(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_pickup_quotes_customer_created
+  on public.pickup_quotes(customer_id, created_at desc);
+
+alter table public.pickups
+  add column if not exists quote_id uuid references public.pickup_quotes(id) on delete set null;
+
+alter table public.pickup_quotes enable row level security;
+
+drop policy if exists "pickup_quotes_select_own" on public.pickup_quotes;
+create policy "pickup_quotes_select_own"
+on public.pickup_quotes
+for select
+to authenticated
+using (customer_id = auth.uid());
@@ -0,0 +1,58 @@
+-- ScrapCo (Customer Backend) - Customer edits to an open pickup
+-- Apply this in Supabase SQL editor AFTER 017_pickup_quotes.sql
+--
+-- PATCH /api/pickups/:id lets the owning customer change the address/location, the time slot
+-- and (before a vendor is assigned) the items. Address and time are written by the backend with
+-- a status compare-and-swap; items are replaced through this RPC so the swap is transactional
+-- and limited to the caller's own pickup in an editable status.
+
+create or replace function public.replace_pickup_items(
+  p_pickup_id uuid,
+  p_items jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+  v_item jsonb;
+  v_qty numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'p_items must be a non-empty array';
+  end if;
+
+  select status::text into v_status
+  from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid()
+  for update;
+
+  if v_status is null then
+    raise exception 'pickup not found';
+  end if;
+  if v_status not in ('REQUESTED', 'SCHEDULED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE') then
+    raise exception 'items cannot be changed in status %', v_status;
+  end if;
+
+  delete from public.pickup_items where pickup_id = p_pickup_id;
+
+  for v_item in select * from jsonb_array_elements(p_items)
+  loop
+    v_qty := (v_item->>'estimatedQuantity')::numeric;
+    if v_qty is null or v_qty <= 0 then
+      raise exception 'estimatedQuantity must be > 0';
+    end if;
+
+    insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+    values (p_pickup_id, (v_item->>'scrapTypeId')::uuid, v_qty);
+  end loop;
+end;
+$$;
+
+grant execute on function public.replace_pickup_items(uuid,jsonb) to authenticated;
@@ -0,0 +1,11 @@
+-- ScrapCo (Customer Backend) - Customer pickup history listing
+-- Apply this in Supabase SQL editor AFTER 018_pickup_edits.sql
+--
+-- GET /api/pickups pages through the caller's pickups by (created_at, id) with keyset cursors,
+-- optionally filtered by status. RLS (pickups_select_own) already limits rows to customer_id = auth.uid().
+
+create index if not exists idx_pickups_customer_created
+  on public.pickups(customer_id, created_at desc, id desc);
+
+create index if not exists idx_pickups_customer_status_created
+  on public.pickups(customer_id, status, created_at desc);
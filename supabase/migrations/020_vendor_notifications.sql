@@ -0,0 +1,36 @@
+-- ScrapCo (Customer Backend) - Recorded vendor notices for cancelled/withdrawn offers and assignments
+-- Apply this in Supabase SQL editor AFTER 019_pickup_history_index.sql
+--
+-- One row per signed callback telling a vendor that an offer or assignment is gone
+-- (type: offer_cancelled | assignment_cancelled | offer_withdrawn | assignment_withdrawn),
+-- sent to the vendor backend's POST /api/offer-notices (never to /api/offer, where new offers arrive).
+-- Written and retried by the backend (service role; see services/vendorNotifications.js):
+-- PENDING -> DELIVERED, or FAILED once VENDOR_NOTIFY_MAX_ATTEMPTS rounds have failed.
+
+create table if not exists public.vendor_notifications (
+  id bigserial primary key,
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  vendor_ref text not null,
+  type text not null,
+  reason text,
+  url text not null,
+  payload jsonb not null,
+  status text not null default 'PENDING',
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint vendor_notifications_status_check check (status in ('PENDING', 'DELIVERED', 'FAILED'))
+);
+
+create index if not exists idx_vendor_notifications_pending_due
+  on public.vendor_notifications(next_attempt_at)
+  where status = 'PENDING';
+
+create index if not exists idx_vendor_notifications_pickup
+  on public.vendor_notifications(pickup_id, created_at);
+
+-- Backend only: no customer or vendor access through PostgREST.
+alter table public.vendor_notifications enable row level security;
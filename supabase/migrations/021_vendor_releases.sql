@@ -0,0 +1,36 @@
+-- ScrapCo (Customer Backend) - Vendor-initiated release of an assigned pickup
+-- Apply this in Supabase SQL editor AFTER 020_vendor_notifications.sql
+--
+-- POST /api/vendor/release hands an ASSIGNED / EN_ROUTE pickup back to dispatch. The releasing
+-- vendor is excluded through pickup_vendor_rejections (no schema change) and the release is
+-- counted in vendor_dispatch_stats, where ranking treats it as an acceptance that did not hold.
+
+alter table public.vendor_dispatch_stats
+  add column if not exists offers_released integer not null default 0;
+
+create or replace function public.bump_vendor_dispatch_stat(
+  p_vendor_ref text,
+  p_outcome text
+)
+returns void
+language plpgsql
+as $$
+begin
+  insert into public.vendor_dispatch_stats (vendor_ref) values (p_vendor_ref)
+  on conflict (vendor_ref) do nothing;
+
+  update public.vendor_dispatch_stats
+     set offers_sent      = offers_sent      + case when p_outcome = 'sent'      then 1 else 0 end,
+         offers_accepted  = offers_accepted  + case when p_outcome = 'accepted'  then 1 else 0 end,
+         offers_rejected  = offers_rejected  + case when p_outcome = 'rejected'  then 1 else 0 end,
+         offers_timed_out = offers_timed_out + case when p_outcome = 'timed_out' then 1 else 0 end,
+         offers_failed    = offers_failed    + case when p_outcome = 'failed'    then 1 else 0 end,
+         offers_withdrawn = offers_withdrawn + case when p_outcome = 'withdrawn' then 1 else 0 end,
+         offers_released  = offers_released  + case when p_outcome = 'released'  then 1 else 0 end,
+         updated_at = now()
+   where vendor_ref = p_vendor_ref;
+end;
+$$;
+
+-- create or replace keeps the grants from 008; repeated so this file is safe to apply on its own.
+revoke execute on function public.bump_vendor_dispatch_stat(text, text) from public, anon, authenticated;
@@ -0,0 +1,44 @@
+-- ScrapCo (Customer Backend) - cancel_pickup follows the pickup state machine
+-- Apply this in Supabase SQL editor AFTER 021_vendor_releases.sql
+--
+-- Status rules live in services/pickupStateMachine.js; the backend cancels through
+-- POST /api/pickups/:id/cancel, which also withdraws offers and tells the assigned vendor.
+-- This direct RPC cannot notify vendors, so it only cancels pickups no vendor is involved in
+-- (REQUESTED, SCHEDULED, NO_VENDOR_AVAILABLE). Anything else is refused with the same message
+-- the backend uses for an illegal transition, instead of silently doing nothing.
+
+create or replace function public.cancel_pickup(p_pickup_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select status::text into v_status
+  from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid()
+  for update;
+
+  if v_status is null then
+    raise exception 'pickup not found';
+  end if;
+  if v_status not in ('REQUESTED', 'SCHEDULED', 'NO_VENDOR_AVAILABLE') then
+    raise exception 'Pickup cannot move from % to CANCELLED', v_status;
+  end if;
+
+  update public.pickups
+    set status = 'CANCELLED',
+        cancelled_at = now(),
+        assigned_vendor_ref = null,
+        assignment_expires_at = null
+  where id = p_pickup_id;
+end;
+$$;
+
+grant execute on function public.cancel_pickup(uuid) to authenticated;
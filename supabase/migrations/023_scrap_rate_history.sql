@@ -0,0 +1,26 @@
+-- ScrapCo (Customer Backend) - One rule for current and historical scrap rates
+-- Apply this in Supabase SQL editor AFTER 022_pickup_state_machine.sql
+--
+-- Rates are looked up the same way everywhere (services/rates.js): the active row with the latest
+-- effective_from <= t. is_active = false now only means "cancelled before it started"
+-- (POST /api/admin/scrap-rates/:id/cancel, which also stamps cancelled_at).
+--
+-- Before scheduled rates, setting a rate switched the previous row off. Those superseded rows are
+-- the rates old pickups were created under, so they are switched back on here. Only rows older
+-- than a rate already in force are touched, so no current price changes.
+
+alter table public.scrap_rates
+  add column if not exists cancelled_at timestamptz;
+
+update public.scrap_rates r
+   set is_active = true
+ where r.is_active = false
+   and r.cancelled_at is null
+   and exists (
+     select 1
+       from public.scrap_rates newer
+      where newer.scrap_type_id = r.scrap_type_id
+        and newer.is_active
+        and coalesce(newer.effective_from, '-infinity') > coalesce(r.effective_from, '-infinity')
+        and coalesce(newer.effective_from, '-infinity') <= now()
+   );
@@ -0,0 +1,92 @@
+-- ScrapCo (Customer Backend) - Customer edits applied in one transaction
+-- Apply this in Supabase SQL editor AFTER 023_scrap_rate_history.sql
+--
+-- PATCH /api/pickups/:id (services/pickupEdits.js) used to save address/time first and swap the
+-- items afterwards, so a failed item swap left a half-applied edit. edit_pickup does both in one
+-- transaction, only while the pickup is still in the status the backend read:
+-- - p_fields: any of address, latitude, longitude, time_slot, window_start, window_end;
+-- - p_items: replacement items (same shape as replace_pickup_items), or null to keep them;
+-- - p_restart: follow the state machine's `edit` transition (services/pickupStateMachine.js) back to
+--   REQUESTED, clearing the offer and the automatic retry schedule.
+-- The backend checks ownership with the customer's JWT first, so this is for the service role only.
+
+create or replace function public.edit_pickup(
+  p_pickup_id uuid,
+  p_from_status text,
+  p_fields jsonb,
+  p_items jsonb,
+  p_restart boolean
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+  v_fields public.pickups;
+  v_row public.pickups;
+  v_item jsonb;
+  v_qty numeric;
+begin
+  select status::text into v_status
+  from public.pickups
+  where id = p_pickup_id
+  for update;
+
+  if v_status is null then
+    raise exception 'pickup not found';
+  end if;
+  if v_status <> p_from_status then
+    raise exception 'pickup status changed to %', v_status;
+  end if;
+  if p_restart and v_status not in ('REQUESTED', 'SCHEDULED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED') then
+    raise exception 'Pickup cannot move from % to REQUESTED', v_status;
+  end if;
+
+  if p_items is not null then
+    if v_status not in ('REQUESTED', 'SCHEDULED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE') then
+      raise exception 'items cannot be changed in status %', v_status;
+    end if;
+    if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+      raise exception 'p_items must be a non-empty array';
+    end if;
+
+    delete from public.pickup_items where pickup_id = p_pickup_id;
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+      v_qty := (v_item->>'estimatedQuantity')::numeric;
+      if v_qty is null or v_qty <= 0 then
+        raise exception 'estimatedQuantity must be > 0';
+      end if;
+
+      insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+      values (p_pickup_id, (v_item->>'scrapTypeId')::uuid, v_qty);
+    end loop;
+  end if;
+
+  -- Typed copy of the requested values; only keys present in p_fields are written.
+  v_fields := jsonb_populate_record(null::public.pickups, coalesce(p_fields, '{}'::jsonb));
+
+  update public.pickups
+    set address = case when p_fields ? 'address' then v_fields.address else address end,
+        latitude = case when p_fields ? 'latitude' then v_fields.latitude else latitude end,
+        longitude = case when p_fields ? 'longitude' then v_fields.longitude else longitude end,
+        time_slot = case when p_fields ? 'time_slot' then v_fields.time_slot else time_slot end,
+        window_start = case when p_fields ? 'window_start' then v_fields.window_start else window_start end,
+        window_end = case when p_fields ? 'window_end' then v_fields.window_end else window_end end,
+        status = case when p_restart then 'REQUESTED' else status end,
+        assigned_vendor_ref = case when p_restart then null else assigned_vendor_ref end,
+        assignment_expires_at = case when p_restart then null else assignment_expires_at end,
+        redispatch_attempts = case when p_restart then 0 else redispatch_attempts end,
+        next_redispatch_at = case when p_restart then null else next_redispatch_at end
+  where id = p_pickup_id
+  returning * into v_row;
+
+  return to_jsonb(v_row);
+end;
+$$;
+
+revoke execute on function public.edit_pickup(uuid, text, jsonb, jsonb, boolean) from public, anon, authenticated;
+grant execute on function public.edit_pickup(uuid, text, jsonb, jsonb, boolean) to service_role;
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemorySupabase } = require('../tools/dispatch-sim/memorySupabase');
+
+// The dispatcher takes its client from supabase/client.js; point it at the stand-in before loading it.
+const db = createMemorySupabase();
+const supabaseClient = require('../supabase/client');
+supabaseClient.createServiceClient = () => db;
+supabaseClient.createAnonClientWithJwt = () => db;
+
+const dispatchPolicy = require('../services/dispatchPolicy');
+const dispatchStrategy = require('../services/dispatchStrategy');
+const offerDelivery = require('../services/offerDelivery');
+const dispatcher = require('../services/dispatcher');
+
+const PICKUP = { id: 'p-1', latitude: 12.9716, longitude: 77.5946 };
+
+function vendorAt(ref, kmNorth) {
+  return {
+    vendor_id: ref,
+    latitude: PICKUP.latitude + kmNorth / 111.32,
+    longitude: PICKUP.longitude,
+    offer_url: `https://${ref}.example.com/api/offer`,
+    is_available: true,
+    last_heartbeat_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// Ranks by distance, farthest first; selection and sequencing are borrowed from the default.
+const farthestFirst = {
+  name: 'test_farthest_first',
+  selectCandidates: (ctx) => dispatchStrategy.getStrategy('nearest').selectCandidates(ctx),
+  rankCandidates: ({ eligible, policy }) =>
+    [...eligible].sort((a, b) => b.distanceKm - a.distanceKm).slice(0, policy.maxCandidates),
+  nextOffer: (ctx) => dispatchStrategy.getStrategy('nearest').nextOffer(ctx),
+};
+dispatchStrategy.registerStrategy(farthestFirst);
+
+test('the default strategy runs on hand-built vendors without Supabase', () => {
+  const strategy = dispatchStrategy.getStrategy(dispatchStrategy.DEFAULT_STRATEGY);
+  const policy = dispatchPolicy.policyFromEnv({});
+  const vendors = [vendorAt('far', 10), vendorAt('near', 1), vendorAt('outside', 40)];
+
+  const { eligible, outsideRadius } = strategy.selectCandidates({ pickup: PICKUP, vendors, policy, skipRefs: new Set() });
+  assert.strictEqual(outsideRadius, 1);
+
+  const ranked = strategy.rankCandidates({ eligible, policy, signals: null, hasPickupLocation: true });
+  assert.deepStrictEqual(ranked.map((r) => r.vendor.vendor_id), ['near', 'far']);
+
+  const candidates = ranked.map((r) => ({ vendor_id: r.vendor.vendor_id, ring_km: r.ringKm }));
+  const step = strategy.nextOffer({ candidates, fromIndex: 0, batchSize: 1, isRejected: (ref) => ref === 'near' });
+  assert.deepStrictEqual(step, { skipped: [0], offer: [1], nextIndex: 2 });
+});
+
+test('a registered strategy is chosen by name or by service zone', () => {
+  const policy = dispatchPolicy.policyFromEnv({
+    DISPATCH_STRATEGY_ZONES: JSON.stringify([
+      { zone: 'north', strategy: 'test_farthest_first', center: [PICKUP.latitude, PICKUP.longitude], radiusKm: 5 },
+    ]),
+  });
+  assert.strictEqual(dispatchStrategy.resolveStrategy(policy, PICKUP).strategy, farthestFirst);
+  assert.strictEqual(dispatchStrategy.resolveStrategy(policy, PICKUP).zone, 'north');
+  assert.strictEqual(dispatchStrategy.resolveStrategy(policy, { latitude: 28.6, longitude: 77.2 }).strategy.name, 'nearest');
+  assert.strictEqual(dispatchStrategy.resolveStrategy({ strategy: 'test_farthest_first' }, null).strategy, farthestFirst);
+});
+
+test('the dispatcher offers in the order of a swapped-in strategy', async (t) => {
+  process.env.DISPATCH_STRATEGY = 'test_farthest_first';
+  dispatchPolicy.clearPolicyCache();
+  const quiet = { log: console.log, warn: console.warn };
+  console.log = () => {};
+  console.warn = () => {};
+  const realDeliver = offerDelivery.deliverToVendor;
+  const offeredTo = [];
+  offerDelivery.deliverToVendor = async ({ vendorId }) => {
+    offeredTo.push(String(vendorId));
+    return { attempts: 1 };
+  };
+  t.after(() => {
+    delete process.env.DISPATCH_STRATEGY;
+    dispatchPolicy.clearPolicyCache();
+    offerDelivery.deliverToVendor = realDeliver;
+    Object.assign(console, quiet);
+  });
+
+  db._table('vendor_backends').push({ id: 'id-near', ...vendorAt('near', 1) }, { id: 'id-far', ...vendorAt('far', 10) });
+  db._table('pickups').push({ ...PICKUP, customer_id: 'c-1', status: 'REQUESTED', address: 'test', created_at: new Date().toISOString() });
+
+  await dispatcher.dispatchPickup(PICKUP.id);
+  assert.deepStrictEqual(offeredTo, ['far']);
+
+  // Accepting the offer clears the offer timer so the test process can exit.
+  assert.ok(await dispatcher.confirmVendorAcceptance(PICKUP.id, 'far'));
+});
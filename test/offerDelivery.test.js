@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { FetchError } = require('node-fetch');
+
+const offerDelivery = require('../services/offerDelivery');
+const { createMemorySupabase } = require('../tools/dispatch-sim/memorySupabase');
+
+test('isTransientError retries node-fetch request timeouts', () => {
+  assert.strictEqual(offerDelivery.isTransientError(new FetchError('network timeout at: http://x', 'request-timeout')), true);
+  assert.strictEqual(offerDelivery.isTransientError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), false);
+  assert.strictEqual(offerDelivery.isTransientError(Object.assign(new Error('Vendor responded 503'), { status: 503 })), true);
+  assert.strictEqual(offerDelivery.isTransientError(Object.assign(new Error('Vendor responded 400'), { status: 400 })), false);
+});
+
+test('deliverToVendor retries an offer after the request times out', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    // First request never answers, so node-fetch aborts it with a request-timeout.
+    if (requests === 1) return;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end('{"success":true}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  process.env.VENDOR_DELIVERY_TIMEOUT_MS = '200';
+  process.env.VENDOR_DELIVERY_BASE_DELAY_MS = '1';
+  t.after(() => {
+    delete process.env.VENDOR_DELIVERY_TIMEOUT_MS;
+    delete process.env.VENDOR_DELIVERY_BASE_DELAY_MS;
+  });
+
+  const supabase = createMemorySupabase();
+  supabase._table('vendor_signing_secrets').push({ vendor_ref: 'v-timeout', secret: 'test-secret' });
+
+  const { attempts } = await offerDelivery.deliverToVendor({
+    supabase,
+    url: `http://127.0.0.1:${server.address().port}/api/offer`,
+    vendorId: 'v-timeout',
+    pickupId: 'p-1',
+    body: { request_id: 'p-1' },
+  });
+
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(requests, 2);
+});
+
+test('deliverToVendor stops retrying when beforeRetry returns false', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.writeHead(503);
+    res.end('busy');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  process.env.VENDOR_DELIVERY_BASE_DELAY_MS = '1';
+  t.after(() => delete process.env.VENDOR_DELIVERY_BASE_DELAY_MS);
+
+  const supabase = createMemorySupabase();
+  supabase._table('vendor_signing_secrets').push({ vendor_ref: 'v-busy', secret: 'test-secret' });
+
+  await assert.rejects(
+    offerDelivery.deliverToVendor({
+      supabase,
+      url: `http://127.0.0.1:${server.address().port}/api/offer`,
+      vendorId: 'v-busy',
+      pickupId: 'p-2',
+      body: { request_id: 'p-2' },
+      beforeRetry: async () => false,
+    }),
+    (err) => err.code === 'DELIVERY_ABORTED' && err.attempts === 1
+  );
+  assert.strictEqual(requests, 1);
+});
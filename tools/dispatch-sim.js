@@ -0,0 +1,433 @@
+// Offline dispatch simulator: runs the real dispatcher (services/dispatcher.js) against an
+// in-memory Supabase stand-in on a virtual clock, with simulated vendors that accept, reject
+// or ignore offers after a response delay.
+//
+// Usage (from repo root):
+//   node tools/dispatch-sim.js                                 # synthetic scenario, env policy
+//   node tools/dispatch-sim.js --pickups 300 --vendors 25 --seed 7
+//   node tools/dispatch-sim.js --scenario recorded.json --json
+//   node tools/dispatch-sim.js --set DISPATCH_OFFER_MODE=broadcast --set DISPATCH_BROADCAST_SIZE=3
+//   node tools/dispatch-sim.js --compare "DISPATCH_OFFER_MODE=sequential" \
+//                              --compare "DISPATCH_OFFER_MODE=broadcast DISPATCH_BROADCAST_SIZE=3"
+//
+// Options:
+//   --scenario <file>       load pickups/vendors from JSON (format: tools/dispatch-sim/scenario.js)
+//   --pickups <n>           synthetic: number of pickups (default 100)
+//   --vendors <n>           synthetic: number of vendors (default 20)
+//   --seed <n>              synthetic scenario + vendor behaviour seed (default 1)
+//   --spread-km <km>        synthetic: radius vendors/pickups are scattered in (default 8)
+//   --duration-min <m>      synthetic: pickups arrive over this many minutes (default 120)
+//   --save-scenario <file>  write the scenario used to a JSON file (for replay)
+//   --set KEY=VALUE         env override for this run (DISPATCH_*, VENDOR_STALE_AFTER_SECONDS, ...)
+//   --compare "K=V K=V"     run once per --compare variant (separate processes) and print a table
+//   --max-hours <h>         stop this long after the last pickup arrives (default 6)
+//   --json                  print the report as JSON
+//   --verbose               keep the dispatcher's log lines (prefixed with virtual time)
+//
+// The .env file is NOT loaded: the policy comes from the shell environment plus --set.
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { createMemorySupabase } = require('./dispatch-sim/memorySupabase');
+const { installVirtualClock } = require('./dispatch-sim/virtualClock');
+const { createRng, generateScenario, validateScenario } = require('./dispatch-sim/scenario');
+
+const DEFAULT_START = '2026-01-05T04:30:00.000Z';
+const HEARTBEAT_SECONDS = 60;
+const SETTLED_STATUSES = new Set(['ASSIGNED', 'CANCELLED', 'COMPLETED', 'EXPIRED', 'NO_VENDOR_AVAILABLE']);
+
+function parseArgs(argv) {
+  const opts = { set: [], compare: [], json: false, verbose: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => {
+      i += 1;
+      if (i >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[i];
+    };
+    switch (arg) {
+      case '--scenario': opts.scenario = next(); break;
+      case '--pickups': opts.pickups = Number(next()); break;
+      case '--vendors': opts.vendors = Number(next()); break;
+      case '--seed': opts.seed = Number(next()); break;
+      case '--spread-km': opts.spreadKm = Number(next()); break;
+      case '--duration-min': opts.durationMinutes = Number(next()); break;
+      case '--save-scenario': opts.saveScenario = next(); break;
+      case '--set': opts.set.push(next()); break;
+      case '--compare': opts.compare.push(next()); break;
+      case '--max-hours': opts.maxHours = Number(next()); break;
+      case '--json': opts.json = true; break;
+      case '--verbose': opts.verbose = true; break;
+      case '--help':
+      case '-h':
+        opts.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return opts;
+}
+
+function parseAssignments(list) {
+  const env = {};
+  for (const chunk of list) {
+    for (const pair of String(chunk).split(/\s+/).filter(Boolean)) {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) throw new Error(`Expected KEY=VALUE, got "${pair}"`);
+      env[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+  }
+  return env;
+}
+
+function loadScenario(opts) {
+  let scenario;
+  if (opts.scenario) {
+    scenario = JSON.parse(fs.readFileSync(path.resolve(opts.scenario), 'utf8'));
+  } else {
+    scenario = generateScenario({
+      seed: opts.seed ?? 1,
+      pickups: opts.pickups ?? 100,
+      vendors: opts.vendors ?? 20,
+      spreadKm: opts.spreadKm ?? 8,
+      durationMinutes: opts.durationMinutes ?? 120,
+    });
+  }
+  const problem = validateScenario(scenario);
+  if (problem) throw new Error(`Invalid scenario: ${problem}`);
+  return scenario;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function summarize(values) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, mean: null, p50: null, p90: null, max: null };
+  const round = (n) => Math.round(n * 10) / 10;
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((s, v) => s + v, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    max: round(sorted[sorted.length - 1]),
+  };
+}
+
+async function runSimulation(scenario, opts) {
+  Object.assign(process.env, parseAssignments(opts.set));
+
+  const startMs = Date.parse(scenario.startAt || DEFAULT_START);
+  const clock = installVirtualClock(startMs);
+  const db = createMemorySupabase({ now: clock.now });
+
+  // Quiet (or time-stamp) the dispatcher's own logging.
+  const realConsole = { log: console.log, warn: console.warn };
+  const stamp = () => `[t+${((clock.now() - startMs) / 1000).toFixed(1)}s]`;
+  console.log = opts.verbose ? (...args) => realConsole.log(stamp(), ...args) : () => {};
+  console.warn = opts.verbose ? (...args) => realConsole.warn(stamp(), ...args) : () => {};
+
+  // The dispatcher takes its client from supabase/client.js; point it at the stand-in before loading it.
+  const supabaseClient = require('../supabase/client');
+  supabaseClient.createServiceClient = () => db;
+  supabaseClient.createAnonClientWithJwt = () => db;
+
+  const offerDelivery = require('../services/offerDelivery');
+  const dispatchPolicy = require('../services/dispatchPolicy');
+  const pickupEvents = require('../services/pickupEvents');
+  const timeSlots = require('../services/timeSlots');
+  const dispatcher = require('../services/dispatcher');
+  const vendorIndex = require('../services/vendorIndex');
+  const vendorNotifications = require('../services/vendorNotifications');
+
+  const rng = createRng((Number(scenario.seed) || Number(opts.seed) || 1) + 1);
+  const vendorsByRef = new Map(scenario.vendors.map((v) => [String(v.vendor_ref), v]));
+  const pendingResponses = new Map();
+  const perPickup = new Map();
+  const counters = { offers: 0, deliveryFailures: 0, accepted: 0, rejected: 0, ignored: 0, lateAccepts: 0, withdrawn: 0 };
+
+  function nowIso() {
+    return new Date(clock.now()).toISOString();
+  }
+
+  function vendorRow(ref) {
+    return db._table('vendor_backends').find((r) => r.vendor_id === ref);
+  }
+
+  // Seed reference data and vendors.
+  for (const t of scenario.scrapTypes || []) db._table('scrap_types').push({ id: t.id, name: t.name || t.id });
+  for (const v of scenario.vendors) {
+    const ref = String(v.vendor_ref);
+    db._table('vendor_backends').push({
+      id: `sim-${ref}`,
+      vendor_id: ref,
+      vendor_ref: ref,
+      latitude: v.latitude,
+      longitude: v.longitude,
+      offer_url: `https://sim.invalid/${encodeURIComponent(ref)}/api/offer`,
+      is_available: v.available !== false,
+      last_heartbeat_at: nowIso(),
+      updated_at: nowIso(),
+      accepted_scrap_type_ids: v.accepted_scrap_type_ids ?? null,
+      max_load_kg: v.max_load_kg ?? null,
+    });
+  }
+
+  // Simulated vendors do not move, so one load keeps the spatial index current.
+  await vendorIndex.loadAll(db);
+
+  setInterval(() => {
+    for (const row of db._table('vendor_backends')) {
+      if (row.is_available) row.last_heartbeat_at = nowIso();
+    }
+  }, HEARTBEAT_SECONDS * 1000);
+
+  function vendorResponds(pickupId, ref, kind) {
+    pendingResponses.delete(`${pickupId}:${ref}`);
+    if (kind === 'accept') {
+      return dispatcher.confirmVendorAcceptance(pickupId, ref).then((won) => {
+        if (!won) {
+          counters.lateAccepts += 1;
+          return;
+        }
+        counters.accepted += 1;
+        // Busy while doing the pickup, then back online.
+        const row = vendorRow(ref);
+        if (row) row.is_available = false;
+        const serviceMinutes = Number(vendorsByRef.get(ref)?.service_minutes) || 45;
+        setTimeout(() => {
+          const r = vendorRow(ref);
+          if (!r) return;
+          Object.assign(r, { is_available: true, last_heartbeat_at: nowIso() });
+          dispatcher.redispatchNearVendor(ref, { latitude: r.latitude, longitude: r.longitude });
+        }, serviceMinutes * 60 * 1000);
+      });
+    }
+    counters.rejected += 1;
+    return dispatcher.handleVendorRejection(pickupId, ref);
+  }
+
+  // Simulated vendor backends instead of HTTP delivery (keeps the breaker bookkeeping).
+  offerDelivery.deliverToVendor = async ({ url, vendorId, pickupId, body }) => {
+    const ref = String(vendorId);
+    const vendor = vendorsByRef.get(ref) || {};
+
+    // Notices go to their own endpoint; only withdrawals are counted.
+    if (new URL(url).pathname.endsWith(vendorNotifications.NOTICE_PATH)) {
+      if (body?.type !== 'offer_withdrawn') return { attempts: 1 };
+      counters.withdrawn += 1;
+      const key = `${pickupId}:${ref}`;
+      clearTimeout(pendingResponses.get(key));
+      pendingResponses.delete(key);
+      return { attempts: 1 };
+    }
+
+    counters.offers += 1;
+    const stats = perPickup.get(String(pickupId));
+    if (stats) stats.offers += 1;
+
+    if (rng() < (Number(vendor.failure_probability) || 0)) {
+      counters.deliveryFailures += 1;
+      offerDelivery._internal.recordDeliveryFailure(ref, new Error('simulated delivery failure'));
+      const err = new Error('Vendor responded 503: simulated delivery failure');
+      err.status = 503;
+      err.attempts = 1;
+      throw err;
+    }
+    offerDelivery._internal.recordDeliverySuccess(ref);
+
+    const roll = rng();
+    const accept = Number(vendor.accept_probability ?? 0.6);
+    const reject = Number(vendor.reject_probability ?? 0.2);
+    if (roll >= accept + reject) {
+      counters.ignored += 1;
+      return { attempts: 1 };
+    }
+
+    const [minS, maxS] = Array.isArray(vendor.latency_seconds) ? vendor.latency_seconds : [5, 60];
+    const delayMs = Math.round(rng.between(Number(minS) || 0, Number(maxS) || 0) * 1000);
+    const kind = roll < accept ? 'accept' : 'reject';
+    const timer = setTimeout(() => {
+      vendorResponds(String(pickupId), ref, kind).catch((e) => console.error('[SIM] vendor response failed', e));
+    }, delayMs);
+    pendingResponses.set(`${pickupId}:${ref}`, timer);
+    return { attempts: 1 };
+  };
+
+  async function createPickup(p) {
+    const id = String(p.id);
+    const slot = timeSlots.parseTimeSlot(p.time_slot || 'Anytime', { pickupDate: p.pickup_date, now: clock.now() });
+    perPickup.set(id, { createdAt: clock.now(), offers: 0, invalid: slot.error || null });
+    if (slot.error) return;
+
+    db._table('pickups').push({
+      id,
+      customer_id: 'sim-customer',
+      status: 'REQUESTED',
+      address: p.address || `sim address ${id}`,
+      latitude: p.latitude ?? null,
+      longitude: p.longitude ?? null,
+      time_slot: slot.label,
+      created_at: nowIso(),
+    });
+    for (const [i, it] of (p.items || []).entries()) {
+      db._table('pickup_items').push({ id: `${id}-item-${i + 1}`, pickup_id: id, ...it });
+    }
+    pickupEvents.recordPickupEvent(db, id, 'pickup_created', { actor: pickupEvents.ACTOR_CUSTOMER, status: 'REQUESTED' });
+
+    let scheduled = null;
+    if (!slot.immediate) scheduled = await dispatcher.schedulePickup(id, slot);
+    if (!scheduled?.held) await dispatcher.dispatchPickup(id);
+  }
+
+  for (const p of scenario.pickups) {
+    setTimeout(() => {
+      createPickup(p).catch((e) => console.error('[SIM] pickup dispatch failed', p.id, e));
+    }, Math.max(0, Number(p.at_seconds) || 0) * 1000);
+  }
+
+  dispatcher.startDispatcherSweeper();
+
+  const lastArrivalSeconds = Math.max(0, ...scenario.pickups.map((p) => Number(p.at_seconds) || 0));
+  const endMs = startMs + (lastArrivalSeconds + (opts.maxHours ?? 6) * 3600) * 1000;
+
+  function isDone() {
+    if (perPickup.size < scenario.pickups.length || pendingResponses.size) return false;
+    const jobs = new Map(db._table('dispatch_jobs').map((j) => [String(j.pickup_id), j]));
+    return db._table('pickups').every((p) => {
+      if (!SETTLED_STATUSES.has(p.status)) return false;
+      // Still waiting for an automatic retry.
+      if (p.status === 'NO_VENDOR_AVAILABLE' && p.next_redispatch_at) return false;
+      const job = jobs.get(String(p.id));
+      return !job || (job.status !== 'active' && job.status !== 'waiting');
+    });
+  }
+
+  const policy = await dispatchPolicy.loadDispatchPolicy(db);
+  await clock.runUntil({ endMs, isDone });
+
+  // Report
+  const events = db._table('pickup_events');
+  const assignedAt = new Map();
+  const autoRetries = events.filter((e) => e.event_type === 'dispatch_restarted' && e.actor === 'system').length;
+  for (const e of events) {
+    if (e.event_type === 'vendor_assigned' && !assignedAt.has(String(e.pickup_id))) {
+      assignedAt.set(String(e.pickup_id), Date.parse(e.created_at));
+    }
+  }
+
+  const statusCounts = {};
+  const timeToAssign = [];
+  const offersPerPickup = [];
+  for (const p of db._table('pickups')) {
+    statusCounts[p.status] = (statusCounts[p.status] || 0) + 1;
+    const stats = perPickup.get(String(p.id));
+    offersPerPickup.push(stats ? stats.offers : 0);
+    if (p.status === 'ASSIGNED' && assignedAt.has(String(p.id)) && stats) {
+      timeToAssign.push((assignedAt.get(String(p.id)) - stats.createdAt) / 1000);
+    }
+  }
+
+  const total = scenario.pickups.length;
+  const rate = (n) => (total ? Math.round(((n || 0) / total) * 1000) / 10 : 0);
+  const report = {
+    policy: dispatchPolicy.describePolicy(policy),
+    overrides: parseAssignments(opts.set),
+    pickups: total,
+    vendors: scenario.vendors.length,
+    invalidPickups: [...perPickup.values()].filter((s) => s.invalid).length,
+    simulatedMinutes: Math.round((clock.now() - startMs) / 600) / 100,
+    finished: isDone(),
+    statuses: statusCounts,
+    assignedPct: rate(statusCounts.ASSIGNED),
+    noVendorAvailablePct: rate(statusCounts.NO_VENDOR_AVAILABLE),
+    expiredPct: rate(statusCounts.EXPIRED),
+    timeToAssignSeconds: summarize(timeToAssign),
+    offersPerPickup: summarize(offersPerPickup),
+    autoRetries,
+    vendorResponses: counters,
+  };
+
+  clock.uninstall();
+  Object.assign(console, realConsole);
+  return report;
+}
+
+function printReport(report) {
+  const t = report.timeToAssignSeconds;
+  const o = report.offersPerPickup;
+  console.log(`Policy: ${report.policy}`);
+  if (Object.keys(report.overrides).length) console.log(`Overrides: ${JSON.stringify(report.overrides)}`);
+  console.log(`Pickups: ${report.pickups}  Vendors: ${report.vendors}  Simulated: ${report.simulatedMinutes} min${report.finished ? '' : ' (horizon reached)'}`);
+  console.log(`Statuses: ${JSON.stringify(report.statuses)}`);
+  console.log(`Assigned: ${report.assignedPct}%  NO_VENDOR_AVAILABLE: ${report.noVendorAvailablePct}%  Expired: ${report.expiredPct}%`);
+  console.log(`Time to assign (s): mean=${t.mean} p50=${t.p50} p90=${t.p90} max=${t.max}`);
+  console.log(`Offers per pickup: mean=${o.mean} p50=${o.p50} p90=${o.p90} max=${o.max}`);
+  console.log(`Automatic re-dispatches: ${report.autoRetries}`);
+  console.log(`Vendor responses: ${JSON.stringify(report.vendorResponses)}`);
+}
+
+function printComparison(variants) {
+  const rows = [
+    ['assigned %', (r) => r.assignedPct],
+    ['NO_VENDOR_AVAILABLE %', (r) => r.noVendorAvailablePct],
+    ['expired %', (r) => r.expiredPct],
+    ['time to assign mean s', (r) => r.timeToAssignSeconds.mean],
+    ['time to assign p50 s', (r) => r.timeToAssignSeconds.p50],
+    ['time to assign p90 s', (r) => r.timeToAssignSeconds.p90],
+    ['offers / pickup mean', (r) => r.offersPerPickup.mean],
+    ['offers / pickup p90', (r) => r.offersPerPickup.p90],
+    ['auto re-dispatches', (r) => r.autoRetries],
+    ['delivery failures', (r) => r.vendorResponses.deliveryFailures],
+    ['late accepts', (r) => r.vendorResponses.lateAccepts],
+  ];
+  const headers = ['metric', ...variants.map((v) => v.label)];
+  const table = [headers, ...rows.map(([name, get]) => [name, ...variants.map((v) => String(get(v.report) ?? '-'))])];
+  const widths = headers.map((_, c) => Math.max(...table.map((r) => r[c].length)));
+  for (const r of table) console.log(r.map((cell, c) => cell.padEnd(widths[c])).join('  '));
+}
+
+function runVariant(argv, assignment) {
+  // Each variant runs in its own process so module state (policy cache, breakers) starts clean.
+  const args = [...argv.filter((a, i) => a !== '--compare' && argv[i - 1] !== '--compare'), '--json', '--set', assignment];
+  const result = childProcess.spawnSync(process.execPath, [__filename, ...args], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (result.status !== 0) throw new Error(`variant "${assignment}" failed: ${result.stderr || result.stdout}`);
+  return JSON.parse(result.stdout);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const opts = parseArgs(argv);
+  if (opts.help) {
+    const header = fs.readFileSync(__filename, 'utf8').split('\n').filter((l) => l.startsWith('//'));
+    console.log(header.map((l) => l.replace(/^\/\/ ?/, '')).join('\n'));
+    return;
+  }
+
+  const scenario = loadScenario(opts);
+  if (opts.saveScenario) fs.writeFileSync(path.resolve(opts.saveScenario), JSON.stringify(scenario, null, 2));
+
+  if (opts.compare.length) {
+    const variants = opts.compare.map((assignment) => ({ label: assignment, report: runVariant(argv, assignment) }));
+    if (opts.json) console.log(JSON.stringify(variants, null, 2));
+    else printComparison(variants);
+    return;
+  }
+
+  const report = await runSimulation(scenario, opts);
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+  });
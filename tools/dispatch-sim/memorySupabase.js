@@ -0,0 +1,388 @@
+// In-memory stand-in for the subset of the Supabase (PostgREST) client the dispatcher uses.
+//
+// Supports from(table) with select / insert / upsert / update / delete, the filters
+// eq, neq, in, is, not(col, 'is', null), lt, lte, gt, gte, order, limit, range, single and maybeSingle,
+// one level of embedded selects used by the dispatcher (pickups -> pickup_items -> scrap_types),
+// and the RPCs from migrations 004 / 005 / 008 / 021.
+//
+// Rows are cloned on the way in and out, like a real round trip, so callers that mutate
+// returned objects (e.g. dispatch_jobs.attempts) do not change stored state.
+
+const { randomUUID } = require('crypto');
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+const EMBEDS = {
+  pickups: { pickup_items: { table: 'pickup_items', foreignKey: 'pickup_id' } },
+  pickup_items: { scrap_types: { table: 'scrap_types', localKey: 'scrap_type_id', one: true } },
+};
+
+const PRIMARY_KEYS = {
+  dispatch_jobs: ['pickup_id'],
+  pickup_vendor_rejections: ['pickup_id', 'vendor_ref'],
+  vendor_dispatch_stats: ['vendor_ref'],
+};
+
+function clone(v) {
+  return v == null ? v : structuredClone(v);
+}
+
+function comparable(v) {
+  if (typeof v === 'string' && ISO_RE.test(v)) {
+    const t = Date.parse(v);
+    if (Number.isFinite(t)) return t;
+  }
+  return v;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x == null) return 1;
+  if (y == null) return -1;
+  return x < y ? -1 : 1;
+}
+
+function equals(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  return compare(a, b) === 0 || String(a) === String(b);
+}
+
+function parseEmbeds(select) {
+  // "id,pickup_items(id,scrap_types(name))" -> { pickup_items: "id,scrap_types(name)" }
+  const out = {};
+  const s = String(select || '');
+  let depth = 0;
+  let token = '';
+  let start = -1;
+  let name = null;
+  for (let i = 0; i < s.length; i += 1) {
+    const ch = s[i];
+    if (ch === '(') {
+      if (depth === 0) {
+        name = token.trim();
+        start = i + 1;
+      }
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+      if (depth === 0 && name) {
+        out[name] = s.slice(start, i);
+        name = null;
+      }
+    } else if (ch === ',' && depth === 0) {
+      token = '';
+      continue;
+    }
+    if (depth === 0 && ch !== ')') token += ch;
+  }
+  return out;
+}
+
+function createMemorySupabase({ now = () => Date.now() } = {}) {
+  const tables = new Map();
+  let nextId = 1;
+
+  function table(name) {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  }
+
+  function nowIso() {
+    return new Date(now()).toISOString();
+  }
+
+  function attachEmbeds(tableName, row, select) {
+    const embeds = parseEmbeds(select);
+    for (const [rel, inner] of Object.entries(embeds)) {
+      const spec = EMBEDS[tableName]?.[rel];
+      if (!spec) continue;
+      if (spec.one) {
+        const found = table(spec.table).find((r) => equals(r.id, row[spec.localKey]));
+        row[rel] = found ? attachEmbeds(spec.table, clone(found), inner) : null;
+      } else {
+        row[rel] = table(spec.table)
+          .filter((r) => equals(r[spec.foreignKey], row.id))
+          .map((r) => attachEmbeds(spec.table, clone(r), inner));
+      }
+    }
+    return row;
+  }
+
+  function withDefaults(tableName, row) {
+    const out = { ...row };
+    if (out.id == null && !PRIMARY_KEYS[tableName]) out.id = tableName === 'pickup_events' ? nextId++ : `sim-${tableName}-${nextId++}`;
+    if (out.created_at == null) out.created_at = nowIso();
+    return out;
+  }
+
+  class Query {
+    constructor(tableName) {
+      this.tableName = tableName;
+      this.filters = [];
+      this.orders = [];
+      this.limitCount = null;
+      this.action = 'select';
+      this.payload = null;
+      this.options = {};
+      this.returning = false;
+      this.selectCols = '*';
+      this.cardinality = null;
+    }
+
+    select(cols = '*') {
+      // After insert/upsert/update, select() means "return the affected rows".
+      if (this.action !== 'select') this.returning = true;
+      this.selectCols = cols;
+      return this;
+    }
+
+    insert(rows) {
+      this.action = 'insert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      return this;
+    }
+
+    upsert(rows, options = {}) {
+      this.action = 'upsert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      this.options = options;
+      return this;
+    }
+
+    update(patch) {
+      this.action = 'update';
+      this.payload = patch;
+      return this;
+    }
+
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+
+    eq(col, v) { this.filters.push((r) => equals(r[col], v)); return this; }
+    neq(col, v) { this.filters.push((r) => !equals(r[col], v)); return this; }
+    in(col, list) { this.filters.push((r) => (list || []).some((v) => equals(r[col], v))); return this; }
+    is(col, v) { this.filters.push((r) => (v === null ? r[col] == null : r[col] === v)); return this; }
+    lt(col, v) { this.filters.push((r) => r[col] != null && compare(r[col], v) < 0); return this; }
+    lte(col, v) { this.filters.push((r) => r[col] != null && compare(r[col], v) <= 0); return this; }
+    gt(col, v) { this.filters.push((r) => r[col] != null && compare(r[col], v) > 0); return this; }
+    gte(col, v) { this.filters.push((r) => r[col] != null && compare(r[col], v) >= 0); return this; }
+
+    not(col, op, v) {
+      if (op !== 'is') throw new Error(`memorySupabase: not(${op}) is not supported`);
+      this.filters.push((r) => (v === null ? r[col] != null : r[col] !== v));
+      return this;
+    }
+
+    or() {
+      this.unsupported = 'or() filters are not supported by the simulator';
+      return this;
+    }
+
+    order(col, { ascending = true } = {}) {
+      this.orders.push({ col, ascending });
+      return this;
+    }
+
+    limit(n) {
+      this.limitCount = n;
+      return this;
+    }
+
+    range(from, to) {
+      this.offset = from;
+      this.limitCount = to - from + 1;
+      return this;
+    }
+
+    single() {
+      this.cardinality = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.cardinality = 'maybeSingle';
+      return this;
+    }
+
+    matches(row) {
+      return this.filters.every((f) => f(row));
+    }
+
+    run() {
+      if (this.unsupported) return { data: null, error: { message: this.unsupported } };
+      const rows = table(this.tableName);
+      let out;
+
+      if (this.action === 'select') {
+        out = rows.filter((r) => this.matches(r));
+        for (const { col, ascending } of [...this.orders].reverse()) {
+          out = [...out].sort((a, b) => (ascending ? 1 : -1) * compare(a[col], b[col]));
+        }
+        if (this.offset) out = out.slice(this.offset);
+        if (this.limitCount != null) out = out.slice(0, this.limitCount);
+        out = out.map((r) => attachEmbeds(this.tableName, clone(r), this.selectCols));
+      } else if (this.action === 'insert') {
+        out = this.payload.map((r) => withDefaults(this.tableName, clone(r)));
+        rows.push(...out);
+        out = out.map(clone);
+      } else if (this.action === 'upsert') {
+        const keys = this.options.onConflict ? this.options.onConflict.split(',').map((k) => k.trim()) : PRIMARY_KEYS[this.tableName] || ['id'];
+        out = this.payload.map((incoming) => {
+          const existing = rows.find((r) => keys.every((k) => equals(r[k], incoming[k])));
+          if (existing) {
+            Object.assign(existing, clone(incoming));
+            return clone(existing);
+          }
+          const row = withDefaults(this.tableName, clone(incoming));
+          rows.push(row);
+          return clone(row);
+        });
+      } else if (this.action === 'update') {
+        out = [];
+        for (const r of rows) {
+          if (!this.matches(r)) continue;
+          Object.assign(r, clone(this.payload));
+          out.push(clone(r));
+        }
+      } else if (this.action === 'delete') {
+        out = rows.filter((r) => this.matches(r)).map(clone);
+        tables.set(this.tableName, rows.filter((r) => !this.matches(r)));
+      }
+
+      if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+
+      if (this.cardinality) {
+        if (out.length > 1) return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+        if (!out.length && this.cardinality === 'single') {
+          return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+        }
+        return { data: out[0] || null, error: null };
+      }
+      return { data: out, error: null };
+    }
+
+    then(resolve, reject) {
+      let result;
+      try {
+        result = this.run();
+      } catch (e) {
+        return Promise.reject(e).then(resolve, reject);
+      }
+      return Promise.resolve(result).then(resolve, reject);
+    }
+  }
+
+  // RPCs (same semantics as the SQL in supabase/migrations)
+  const rpcs = {
+    claim_dispatch_job({ p_pickup_id, p_worker, p_lease_seconds }) {
+      const t = now();
+      const job = table('dispatch_jobs').find(
+        (j) =>
+          equals(j.pickup_id, p_pickup_id) &&
+          (j.status === 'active' || j.status === 'waiting') &&
+          (j.lease_owner == null || j.lease_owner === p_worker || compare(j.lease_expires_at, new Date(t).toISOString()) < 0)
+      );
+      if (!job) return [];
+      Object.assign(job, {
+        lease_owner: p_worker,
+        lease_token: randomUUID(),
+        lease_expires_at: new Date(t + p_lease_seconds * 1000).toISOString(),
+        updated_at: new Date(t).toISOString(),
+      });
+      return [clone(job)];
+    },
+
+    claim_due_dispatch_jobs({ p_worker, p_lease_seconds, p_limit }) {
+      const t = now();
+      const iso = new Date(t).toISOString();
+      const due = table('dispatch_jobs')
+        .filter(
+          (j) =>
+            (j.status === 'active' || (j.status === 'waiting' && j.offer_deadline && compare(j.offer_deadline, iso) < 0)) &&
+            (j.lease_owner == null || compare(j.lease_expires_at, iso) < 0)
+        )
+        .sort((a, b) => compare(a.updated_at, b.updated_at))
+        .slice(0, p_limit);
+      for (const j of due) {
+        Object.assign(j, {
+          lease_owner: p_worker,
+          lease_token: randomUUID(),
+          lease_expires_at: new Date(t + p_lease_seconds * 1000).toISOString(),
+          updated_at: iso,
+        });
+      }
+      return due.map(clone);
+    },
+
+    accept_broadcast_offer({ p_pickup_id, p_vendor_ref }) {
+      const iso = nowIso();
+      const pickup = table('pickups').find((p) => equals(p.id, p_pickup_id));
+      const job = table('dispatch_jobs').find((j) => equals(j.pickup_id, p_pickup_id));
+      const offered =
+        job &&
+        job.mode === 'broadcast' &&
+        (job.attempts || []).some((a) => String(a.vendor_ref) === String(p_vendor_ref) && a.outcome === 'offered');
+      if (
+        !pickup ||
+        pickup.status !== 'FINDING_VENDOR' ||
+        pickup.assigned_vendor_ref != null ||
+        !pickup.assignment_expires_at ||
+        compare(pickup.assignment_expires_at, iso) < 0 ||
+        !offered
+      ) {
+        return [];
+      }
+      Object.assign(pickup, { status: 'ASSIGNED', assigned_vendor_ref: p_vendor_ref, assignment_expires_at: null });
+      return [{ id: pickup.id, status: pickup.status, assigned_vendor_ref: pickup.assigned_vendor_ref }];
+    },
+
+    bump_vendor_dispatch_stat({ p_vendor_ref, p_outcome }) {
+      const rows = table('vendor_dispatch_stats');
+      let row = rows.find((r) => r.vendor_ref === p_vendor_ref);
+      if (!row) {
+        row = { vendor_ref: p_vendor_ref, offers_sent: 0, offers_accepted: 0, offers_rejected: 0, offers_timed_out: 0, offers_failed: 0, offers_withdrawn: 0, offers_released: 0 };
+        rows.push(row);
+      }
+      const column = {
+        sent: 'offers_sent',
+        accepted: 'offers_accepted',
+        rejected: 'offers_rejected',
+        timed_out: 'offers_timed_out',
+        failed: 'offers_failed',
+        withdrawn: 'offers_withdrawn',
+        released: 'offers_released',
+      }[p_outcome];
+      if (column) row[column] += 1;
+      row.updated_at = nowIso();
+      return null;
+    },
+  };
+
+  return {
+    from(tableName) {
+      return new Query(tableName);
+    },
+
+    rpc(name, args) {
+      const fn = rpcs[name];
+      if (!fn) return Promise.resolve({ data: null, error: { message: `function ${name} is not available in the simulator` } });
+      try {
+        return Promise.resolve({ data: fn(args || {}), error: null });
+      } catch (e) {
+        return Promise.resolve({ data: null, error: { message: e?.message || String(e) } });
+      }
+    },
+
+    // Direct access for seeding and reporting (not part of the Supabase API).
+    _tables: tables,
+    _table: table,
+  };
+}
+
+module.exports = {
+  createMemorySupabase,
+};
@@ -0,0 +1,125 @@
+// Simulator scenarios: pickups and vendors, either generated from a seed or loaded from JSON.
+//
+// Scenario JSON (all times in seconds from the start of the simulation):
+// {
+//   "startAt": "2026-01-05T04:30:00.000Z",           // optional virtual start time
+//   "scrapTypes": [{ "id": "paper", "name": "Paper" }],
+//   "vendors": [{
+//     "vendor_ref": "v1", "latitude": 28.61, "longitude": 77.20,
+//     "accept_probability": 0.7, "reject_probability": 0.2,   // otherwise the offer times out
+//     "latency_seconds": [5, 60],                              // response delay range
+//     "failure_probability": 0.02,                             // offer delivery fails
+//     "service_minutes": 45,                                   // busy after accepting
+//     "accepted_scrap_type_ids": null, "max_load_kg": null
+//   }],
+//   "pickups": [{
+//     "id": "p1", "at_seconds": 0, "latitude": 28.62, "longitude": 77.21,
+//     "items": [{ "scrap_type_id": "paper", "estimated_quantity": 12 }],
+//     "time_slot": "Anytime"                                   // or a slot accepted by POST /api/pickups
+//   }]
+// }
+
+const DEFAULT_CENTER = [28.6139, 77.209];
+const DEFAULT_SCRAP_TYPES = [
+  { id: 'paper', name: 'Paper' },
+  { id: 'plastic', name: 'Plastic' },
+  { id: 'metal', name: 'Metal' },
+  { id: 'ewaste', name: 'E-waste' },
+];
+
+function createRng(seed) {
+  // mulberry32: small, fast, reproducible
+  let a = Number(seed) >>> 0 || 1;
+  const rng = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.between = (min, max) => min + (max - min) * rng();
+  rng.pick = (list) => list[Math.floor(rng() * list.length)];
+  return rng;
+}
+
+function offsetLatLon([lat, lon], rng, spreadKm) {
+  // Uniform point in a disc of radius spreadKm around the centre.
+  const r = spreadKm * Math.sqrt(rng());
+  const theta = rng() * 2 * Math.PI;
+  const dLat = (r * Math.cos(theta)) / 111;
+  const dLon = (r * Math.sin(theta)) / (111 * Math.cos((lat * Math.PI) / 180));
+  return [Number((lat + dLat).toFixed(6)), Number((lon + dLon).toFixed(6))];
+}
+
+function generateScenario({
+  seed = 1,
+  pickups = 100,
+  vendors = 20,
+  center = DEFAULT_CENTER,
+  spreadKm = 8,
+  durationMinutes = 120,
+} = {}) {
+  const rng = createRng(seed);
+  const scrapTypes = DEFAULT_SCRAP_TYPES;
+
+  const vendorList = [];
+  for (let i = 0; i < vendors; i += 1) {
+    const [latitude, longitude] = offsetLatLon(center, rng, spreadKm);
+    const accept = Number(rng.between(0.3, 0.9).toFixed(2));
+    const reject = Number(Math.min(1 - accept, rng.between(0.05, 0.3)).toFixed(2));
+    const fast = rng.between(3, 20);
+    vendorList.push({
+      vendor_ref: `sim-vendor-${i + 1}`,
+      latitude,
+      longitude,
+      accept_probability: accept,
+      reject_probability: reject,
+      latency_seconds: [Math.round(fast), Math.round(fast + rng.between(10, 150))],
+      failure_probability: Number(rng.between(0, 0.05).toFixed(3)),
+      service_minutes: Math.round(rng.between(30, 75)),
+      // A quarter of vendors specialise in a subset of scrap types.
+      accepted_scrap_type_ids: rng() < 0.25 ? scrapTypes.filter(() => rng() < 0.6).map((t) => t.id) : null,
+      max_load_kg: rng() < 0.2 ? Math.round(rng.between(20, 60)) : null,
+    });
+  }
+
+  const pickupList = [];
+  for (let i = 0; i < pickups; i += 1) {
+    const [latitude, longitude] = offsetLatLon(center, rng, spreadKm * 1.2);
+    const itemCount = 1 + Math.floor(rng() * 2);
+    const items = [];
+    for (let k = 0; k < itemCount; k += 1) {
+      items.push({ scrap_type_id: rng.pick(scrapTypes).id, estimated_quantity: Math.round(rng.between(2, 30)) });
+    }
+    pickupList.push({
+      id: `sim-pickup-${i + 1}`,
+      at_seconds: Math.round(rng() * durationMinutes * 60),
+      latitude,
+      longitude,
+      items,
+      time_slot: 'Anytime',
+    });
+  }
+  pickupList.sort((a, b) => a.at_seconds - b.at_seconds);
+
+  return { seed, scrapTypes, vendors: vendorList, pickups: pickupList };
+}
+
+function validateScenario(scenario) {
+  if (!scenario || !Array.isArray(scenario.vendors) || !Array.isArray(scenario.pickups)) {
+    return 'scenario must have "vendors" and "pickups" arrays';
+  }
+  for (const v of scenario.vendors) {
+    if (!v.vendor_ref) return 'every vendor needs a vendor_ref';
+  }
+  for (const p of scenario.pickups) {
+    if (!p.id) return 'every pickup needs an id';
+  }
+  return null;
+}
+
+module.exports = {
+  createRng,
+  generateScenario,
+  validateScenario,
+};
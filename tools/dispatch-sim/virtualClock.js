@@ -0,0 +1,119 @@
+// Virtual clock for the dispatch simulator.
+//
+// Replaces the global Date, setTimeout/clearTimeout and setInterval/clearInterval so the real
+// dispatcher code (offer TTL timers, the 10s sweeper, lease expiry, staleness checks) runs on
+// simulated time. Timers fire in time order; between timers every pending promise chain is
+// drained so each simulated event runs to completion before the clock moves on.
+
+function installVirtualClock(startMs) {
+  const RealDate = Date;
+  const real = {
+    setTimeout: global.setTimeout,
+    clearTimeout: global.clearTimeout,
+    setInterval: global.setInterval,
+    clearInterval: global.clearInterval,
+    setImmediate: global.setImmediate,
+  };
+
+  let current = startMs;
+  let seq = 0;
+  const timers = new Map();
+
+  class VirtualDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(current);
+      else super(...args);
+    }
+
+    static now() {
+      return current;
+    }
+  }
+
+  function handleFor(id) {
+    // Node timer handles expose ref/unref; keep callers that use them working.
+    return {
+      id,
+      ref() { return this; },
+      unref() { return this; },
+      hasRef() { return false; },
+      [Symbol.toPrimitive]() { return id; },
+    };
+  }
+
+  function schedule(fn, ms, args, repeatMs) {
+    seq += 1;
+    const delay = Math.max(0, Number(ms) || 0);
+    timers.set(seq, { id: seq, at: current + delay, fn, args, repeatMs });
+    return handleFor(seq);
+  }
+
+  function cancel(handle) {
+    if (handle == null) return;
+    timers.delete(typeof handle === 'object' ? handle.id : Number(handle));
+  }
+
+  global.Date = VirtualDate;
+  global.setTimeout = (fn, ms, ...args) => schedule(fn, ms, args, null);
+  global.setInterval = (fn, ms, ...args) => schedule(fn, ms, args, Math.max(1, Number(ms) || 1));
+  global.clearTimeout = cancel;
+  global.clearInterval = cancel;
+
+  function nextTimer() {
+    let next = null;
+    for (const t of timers.values()) {
+      if (!next || t.at < next.at || (t.at === next.at && t.id < next.id)) next = t;
+    }
+    return next;
+  }
+
+  async function settle() {
+    // Every stand-in call resolves via microtasks, so a couple of macrotask turns drain them all.
+    for (let i = 0; i < 3; i += 1) await new Promise((resolve) => real.setImmediate(resolve));
+  }
+
+  async function runUntil({ endMs, isDone }) {
+    // Advance through timers until isDone() or the horizon; returns the number of timers fired.
+    let fired = 0;
+    await settle();
+    while (!(isDone && isDone())) {
+      const t = nextTimer();
+      if (!t || t.at > endMs) {
+        current = Math.max(current, Math.min(endMs, t ? t.at : endMs));
+        break;
+      }
+      current = t.at;
+      if (t.repeatMs) t.at = current + t.repeatMs;
+      else timers.delete(t.id);
+      fired += 1;
+      try {
+        t.fn(...(t.args || []));
+      } catch (e) {
+        console.error('[SIM] timer callback threw', e);
+      }
+      await settle();
+    }
+    return fired;
+  }
+
+  function uninstall() {
+    global.Date = RealDate;
+    Object.assign(global, {
+      setTimeout: real.setTimeout,
+      clearTimeout: real.clearTimeout,
+      setInterval: real.setInterval,
+      clearInterval: real.clearInterval,
+    });
+  }
+
+  return {
+    now: () => current,
+    runUntil,
+    uninstall,
+    pendingTimers: () => timers.size,
+  };
+}
+
+module.exports = {
+  installVirtualClock,
+};